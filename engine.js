@@ -0,0 +1,2115 @@
+// Blockies game engine - board, players and scoring rules.
+// Has no DOM, audio or storage access so the same rules run in the browser
+// (loaded as a plain script before game.js) and in Node (required by server.js).
+
+// Board configuration
+const BASE_BOARD_WIDTH = 10;
+const BOARD_HEIGHT = 20;
+const ADDITIONAL_COLUMNS_PER_PLAYER = 4;
+// Limits for rooms that pick their own board size
+const MIN_BOARD_HEIGHT = 16;
+const MAX_BOARD_HEIGHT = 30;
+const MAX_COLUMNS_PER_PLAYER = 8;
+
+// Scoring
+const BASE_LINE_SCORE = 100;
+const STREAK_BONUS_STEP = 0.1;
+const MULTI_LINE_BONUS_STEP = 0.2;
+
+// 'team' is the streak/multi-line formula above; 'guideline' follows the official rules (points times level)
+const SCORING_MODELS = ['team', 'guideline'];
+const DEFAULT_SCORING = 'team';
+const GUIDELINE_LINE_SCORES = [0, 100, 300, 500, 800];
+const GUIDELINE_TSPIN_SCORES = {
+    full: [400, 800, 1200, 1600],
+    mini: [100, 200, 400, 400]
+};
+const GUIDELINE_PERFECT_CLEAR_SCORES = [0, 800, 1200, 1800, 2000];
+const BACK_TO_BACK_PERFECT_TETRIS_SCORE = 3200;
+const BACK_TO_BACK_MULTIPLIER = 1.5;
+const COMBO_SCORE = 50;
+const SOFT_DROP_SCORE = 1; // Per row
+const HARD_DROP_SCORE = 2; // Per row
+
+// Simulation runs in fixed steps so every client (and the server) advances identically
+const FRAME_DURATION = 1000 / 60;
+const MAX_STEPS_PER_TICK = 30; // Drop the backlog after a long stall (e.g. background tab)
+
+// Gravity: milliseconds per row by level. Levels go up every 10 team lines from the start level
+const GRAVITY_CURVES = ['guideline', 'nes', 'custom'];
+const DEFAULT_GRAVITY = 'guideline';
+const MAX_START_LEVEL = 20;
+const TWENTY_G_LEVEL = 20; // Guideline pieces fall straight to the stack (20G) from this level on
+const NES_FRAME_DURATION = 1000 / 60.0988;
+// Frames per row on NES levels 0-29; level 1 here is NES level 0
+const NES_FRAMES_PER_ROW = [
+    48, 43, 38, 33, 28, 23, 18, 13, 8, 6,
+    5, 5, 5, 4, 4, 4, 3, 3, 3, 2,
+    2, 2, 2, 2, 2, 2, 2, 2, 2, 1
+];
+const MAX_CUSTOM_DROP_INTERVAL = 10000;
+
+// A grounded piece locks after this delay; moves and rotations restart it a limited number of times
+const DEFAULT_LOCK_DELAY = 500;
+const MAX_LOCK_DELAY = 5000;
+const DEFAULT_MOVE_RESET_LIMIT = 15;
+
+// 'coop' puts everyone on one shared board; in 'versus' each player has a board and attacks the others
+const GAME_MODES = ['coop', 'versus'];
+const DEFAULT_MODE = 'coop';
+const GARBAGE_CELL = -1; // Locked cell sent by an opponent; belongs to no player
+
+// Garbage rows sent per clear. lines, tSpin and tSpinMini are indexed by lines cleared,
+// combo by the number of clears in a row after the first (the last entry repeats)
+const ATTACK_TABLES = {
+    guideline: {
+        lines: [0, 0, 1, 2, 4],
+        tSpin: [0, 2, 4, 6, 6],
+        tSpinMini: [0, 0, 1, 1, 1],
+        backToBack: 1,
+        combo: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5],
+        perfectClear: 10
+    },
+    classic: {
+        lines: [0, 0, 1, 2, 4],
+        tSpin: [0, 0, 1, 2, 4],
+        tSpinMini: [0, 0, 1, 2, 4],
+        backToBack: 0,
+        combo: [0],
+        perfectClear: 0
+    }
+};
+const DEFAULT_ATTACK_TABLE = 'guideline';
+const MAX_ATTACK = 20; // Per entry of a custom table
+
+// Goals: 'sprint' ends once enough lines are cleared, 'ultra' when the clock runs out,
+// 'puzzle' once the objective is met on a prepared board with fixed pieces
+const GOALS = ['sprint', 'ultra', 'puzzle'];
+const SPRINT_LINE_OPTIONS = [20, 40, 100];
+const DEFAULT_SPRINT_LINES = 40;
+const ULTRA_DURATION = 120000; // Milliseconds
+const SPRINT_SPLIT_LINES = 10; // Sprint splits are taken every 10 lines
+const ULTRA_SPLIT_TIME = 30000; // Ultra splits every 30 seconds
+
+// Puzzle objectives: 'clear' empties the board, 'lines' clears objective.lines lines,
+// 'tspin' is a (full) T-spin clearing at least objective.lines lines
+const PUZZLE_OBJECTIVES = ['clear', 'lines', 'tspin'];
+// Puzzle files: rows are strings ('.' empty, 'X' garbage, '1'-'4' a player's colour) and each player's pieces a string of shape keys
+const PUZZLE_FORMAT = 'blockies-puzzle';
+const PUZZLE_VERSION = 1;
+const MAX_PUZZLE_PLAYERS = 4;
+const MAX_PUZZLE_PIECES = 100; // Per player
+
+// Replays store the engine options and the applied inputs by frame; bump when the format changes
+const REPLAY_VERSION = 1;
+// Replay files wrap a replay for sharing; their inputs are a flat list of
+// [frames since the previous input, player, code] triples with codes from REPLAY_INPUT_CODES
+const REPLAY_FORMAT = 'blockies-replay';
+const REPLAY_INPUT_CODES = ['move:-1', 'move:1', 'rotate', 'rotateCCW', 'rotate180', 'hold', 'drop', 'hardDrop', 'eliminate'];
+const MAX_REPLAY_PLAYERS = 8; // Sanity limits for imported files
+const MAX_REPLAY_BOARD_SIZE = 100;
+
+// Upcoming pieces kept per player; clients choose how many of them to show
+const NEXT_QUEUE_LENGTH = 6;
+
+// Computer players. Difficulty sets how long a bot thinks after its piece spawns, the frames between
+// its actions, and how often it settles for one of the next best placements instead of the best
+const BOT_DIFFICULTIES = {
+    easy: { thinkFrames: 45, actionFrames: 12, mistakeChance: 0.3 },
+    medium: { thinkFrames: 20, actionFrames: 6, mistakeChance: 0.1 },
+    hard: { thinkFrames: 6, actionFrames: 2, mistakeChance: 0 }
+};
+const DEFAULT_BOT_DIFFICULTY = 'medium';
+const BOT_MISTAKE_SPREAD = 4; // A mistake picks one of the 2nd to 5th best placements
+const BOT_PATIENCE = 3; // Blocked actions (e.g. by a teammate's piece) before a bot picks a placement on its own side
+const BOT_MAX_FAILURES = 8; // ... and before it just drops the piece where it is
+// Placement weights: the board left behind is judged on total column height, cleared lines, covered holes,
+// height differences between neighbouring columns and cells placed under teammates' falling pieces
+const BOT_WEIGHTS = {
+    height: -0.51,
+    lines: 0.76,
+    holes: -0.36,
+    bumpiness: -0.18,
+    crowding: -0.3
+};
+
+// Tetromino shapes in their SRS spawn state; the empty rows keep the rotation centre
+const SHAPES = {
+    I: [[0, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]],
+    O: [[1, 1], [1, 1]],
+    T: [[0, 1, 0], [1, 1, 1], [0, 0, 0]],
+    S: [[0, 1, 1], [1, 1, 0], [0, 0, 0]],
+    Z: [[1, 1, 0], [0, 1, 1], [0, 0, 0]],
+    J: [[1, 0, 0], [1, 1, 1], [0, 0, 0]],
+    L: [[0, 0, 1], [1, 1, 1], [0, 0, 0]]
+};
+
+const SHAPE_KEYS = Object.keys(SHAPES);
+
+// SRS wall kicks as [x, y] offsets with y pointing up, keyed by "from>to" rotation state
+// (0 = spawn, 1 = R, 2 = 180, 3 = L). Tried in order; the first free position wins.
+const JLSTZ_KICKS = {
+    '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+    '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+const I_KICKS = {
+    '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+    '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+// SRS has no 180° rotation; these are the widely used SRS+ kicks, shared by all pieces
+const HALF_TURN_KICKS = {
+    '0>2': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    '2>0': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    '1>3': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    '3>1': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+};
+
+// Rotate a matrix clockwise by a number of quarter turns
+function rotateMatrix(matrix, turns = 1) {
+    let result = matrix;
+    for (let i = 0; i < ((turns % 4) + 4) % 4; i++) {
+        result = result[0].map((_, x) => result.map(row => row[x]).reverse());
+    }
+    return result;
+}
+
+function getKicks(type, from, to) {
+    if (type === 'O') {
+        return [[0, 0]];
+    }
+
+    const key = `${from}>${to}`;
+    if (Math.abs(from - to) === 2) {
+        return HALF_TURN_KICKS[key];
+    }
+    return (type === 'I' ? I_KICKS : JLSTZ_KICKS)[key];
+}
+
+// Strip empty rows and columns, e.g. for piece previews
+function trimShape(matrix) {
+    const rows = matrix.filter(row => row.some(cell => cell));
+    if (!rows.length) return [];
+
+    let first = rows[0].length;
+    let last = -1;
+    rows.forEach(row => {
+        row.forEach((cell, x) => {
+            if (cell) {
+                first = Math.min(first, x);
+                last = Math.max(last, x);
+            }
+        });
+    });
+    return rows.map(row => row.slice(first, last + 1));
+}
+
+// Piece randomizers; 'bag7-shared' deals every player the same 7-bag sequence
+const RANDOMIZERS = ['bag7', 'bag7-shared', 'bag14', 'nes', 'random'];
+const DEFAULT_RANDOMIZER = 'bag7';
+
+// Actions accepted by GameEngine.input()
+const INPUT_ACTIONS = ['move', 'rotate', 'rotateCCW', 'rotate180', 'hold', 'drop', 'hardDrop'];
+
+// What each player contributed to the team run
+const PLAYER_STATS_TEMPLATE = {
+    pieces: 0, // Pieces locked
+    lines: 0, // Lines completed by this player's piece (they placed the last cell)
+    cellsCleared: 0, // Cleared cells this player had placed
+    score: 0, // Clear points for the lines they completed, plus drop points in guideline scoring
+    dropPoints: 0, // 1 per soft-dropped row, 2 per hard-dropped row (counted in every scoring model)
+    holes: 0, // Empty cells newly covered by their pieces
+    actions: 0, // Applied inputs, for APM
+    attack: 0, // Garbage rows sent to opponents in versus
+    garbageReceived: 0, // Garbage rows that rose into their board in versus
+    outFrame: null // Frame the player was eliminated on
+};
+
+const TEAM_SCORE_TEMPLATE = {
+    score: 0,
+    lines: 0,
+    level: 1,
+    comboChain: 0,
+    backToBack: 0, // Consecutive difficult clears (Tetrises and T-spins with lines)
+    lastClearDetail: null
+};
+
+/**
+ * Milliseconds per row at the given level (1-based). 0 means 20G.
+ * 'custom' reads `table` (one entry per level, the last one repeats) and falls back to the guideline curve.
+ */
+function getDropInterval(curve, level, table) {
+    const index = Math.max(0, level - 1);
+
+    if (curve === 'nes') {
+        return NES_FRAMES_PER_ROW[Math.min(index, NES_FRAMES_PER_ROW.length - 1)] * NES_FRAME_DURATION;
+    }
+
+    if (curve === 'custom' && Array.isArray(table) && table.length) {
+        return table[Math.min(index, table.length - 1)];
+    }
+
+    if (level >= TWENTY_G_LEVEL) {
+        return 0;
+    }
+    return Math.pow(0.8 - index * 0.007, index) * 1000;
+}
+
+// Keeps the usable part of a custom gravity table, or null when nothing is left
+function normalizeGravityTable(table) {
+    if (!Array.isArray(table)) return null;
+
+    const intervals = table
+        .filter(value => Number.isFinite(value) && value >= 0)
+        .map(value => Math.min(MAX_CUSTOM_DROP_INTERVAL, value))
+        .slice(0, MAX_START_LEVEL * 2);
+    return intervals.length ? intervals : null;
+}
+
+// A preset name or a custom table; custom entries fall back to the guideline table when missing or invalid
+function normalizeAttackTable(table) {
+    if (typeof table === 'string' || !table || typeof table !== 'object') {
+        return ATTACK_TABLES[table] || ATTACK_TABLES[DEFAULT_ATTACK_TABLE];
+    }
+
+    const fallback = ATTACK_TABLES[DEFAULT_ATTACK_TABLE];
+    const isAttack = value => Number.isInteger(value) && value >= 0 && value <= MAX_ATTACK;
+    const result = {};
+    Object.keys(fallback).forEach(key => {
+        const value = table[key];
+        if (Array.isArray(fallback[key])) {
+            result[key] = Array.isArray(value) && value.length && value.every(isAttack)
+                ? value.slice(0, 20)
+                : fallback[key];
+        } else {
+            result[key] = isAttack(value) ? value : fallback[key];
+        }
+    });
+    return result;
+}
+
+// Co-op boards grow by columnsPerPlayer for every player after the first
+function computeBoardWidth(numPlayers, columnsPerPlayer = ADDITIONAL_COLUMNS_PER_PLAYER) {
+    const players = Math.max(1, numPlayers || 1);
+    return BASE_BOARD_WIDTH + (players - 1) * columnsPerPlayer;
+}
+
+function createEmptyBoard(width = BASE_BOARD_WIDTH, height = BOARD_HEIGHT) {
+    return Array.from({ length: height }, () => Array(width).fill(0));
+}
+
+// A copy of a starting board if it has the right size and only empty, garbage or player cells; otherwise null
+function normalizeBoard(board, width, height, numPlayers) {
+    const isCell = cell => cell === 0 || cell === GARBAGE_CELL || (Number.isInteger(cell) && cell >= 1 && cell <= numPlayers);
+    if (!Array.isArray(board) || board.length !== height
+        || !board.every(row => Array.isArray(row) && row.length === width && row.every(isCell))) {
+        return null;
+    }
+    return board.map(row => row.slice());
+}
+
+// One fixed list of shape keys per player (arrays or strings like 'TIO'), or null
+function normalizePieceSequences(pieces, numPlayers) {
+    if (!Array.isArray(pieces) || pieces.length !== numPlayers) return null;
+
+    const sequences = pieces.map(sequence => (typeof sequence === 'string' || Array.isArray(sequence) ? Array.from(sequence) : null));
+    return sequences.every(sequence => sequence && sequence.every(type => SHAPE_KEYS.includes(type))) ? sequences : null;
+}
+
+function normalizeObjective(objective) {
+    const source = objective && typeof objective === 'object' ? objective : {};
+    return {
+        type: PUZZLE_OBJECTIVES.includes(source.type) ? source.type : PUZZLE_OBJECTIVES[0],
+        lines: Number.isInteger(source.lines) && source.lines > 0 ? source.lines : 1
+    };
+}
+
+// Seeds are unsigned 32-bit integers; any typed text is hashed into one
+function normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.floor(Math.abs(value)) >>> 0;
+    }
+
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+        return generateSeed();
+    }
+
+    if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+        return Number(text);
+    }
+
+    // FNV-1a
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Mulberry32 - small, fast and identical on every JS engine
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Returns a source of shape keys; next() draws the following piece
+function createRandomizer(type, random) {
+    switch (type) {
+        case 'bag7':
+        case 'bag7-shared':
+        case 'bag14': {
+            const copies = type === 'bag14' ? 2 : 1;
+            let bag = [];
+            return {
+                next() {
+                    if (!bag.length) {
+                        for (let i = 0; i < copies; i++) {
+                            bag.push(...SHAPE_KEYS);
+                        }
+                        shuffle(bag, random);
+                    }
+                    return bag.pop();
+                }
+            };
+        }
+        case 'nes': {
+            // Roll one extra "slot"; a repeat or the extra slot triggers a single reroll
+            let previous = null;
+            return {
+                next() {
+                    let index = Math.floor(random() * (SHAPE_KEYS.length + 1));
+                    if (index === SHAPE_KEYS.length || SHAPE_KEYS[index] === previous) {
+                        index = Math.floor(random() * SHAPE_KEYS.length);
+                    }
+                    previous = SHAPE_KEYS[index];
+                    return previous;
+                }
+            };
+        }
+        case 'random':
+        default:
+            return {
+                next() {
+                    return SHAPE_KEYS[Math.floor(random() * SHAPE_KEYS.length)];
+                }
+            };
+    }
+}
+
+// Deals a fixed list of shape keys, then null once it runs out (puzzles)
+function createSequence(pieces) {
+    let index = 0;
+    return {
+        next() {
+            return index < pieces.length ? pieces[index++] : null;
+        }
+    };
+}
+
+// Minimal event emitter (Node's EventEmitter is not available in the browser)
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        const list = this.listeners[event];
+        if (!list) return;
+        this.listeners[event] = list.filter(listener => listener !== callback);
+    }
+
+    emit(event, ...args) {
+        const list = this.listeners[event];
+        if (!list) return;
+        list.slice().forEach(listener => listener(...args));
+    }
+
+    removeAllListeners() {
+        this.listeners = {};
+    }
+}
+
+// Player Class
+class Player {
+    constructor(game, id, options = {}) {
+        this.game = game;
+        this.id = id;
+        this.color = options.color;
+        this.score = 0;
+        this.level = game.startLevel;
+        this.lines = 0;
+        this.currentPiece = null; // Matrix of the falling piece in its current rotation
+        this.currentType = null; // Shape key, e.g. 'T'
+        this.rotation = 0; // SRS rotation state: 0, 1 (R), 2, 3 (L)
+        this.nextQueue = []; // Upcoming shape keys, next piece first
+        this.heldPiece = null; // Shape key in the hold slot
+        this.canHold = true; // Hold is allowed once per piece
+        this.position = { x: 0, y: 0 };
+        this.gameOver = false;
+        this.dropCounter = 0;
+        this.dropInterval = game.getDropInterval(game.startLevel);
+        this.lockTimer = null; // Milliseconds spent resting on locked cells; null while airborne
+        this.lockResets = 0; // Lock delay restarts used by the current piece
+        this.lowestY = 0; // Reaching a new lowest row gives the piece its restarts back
+        this.lastMoveWasRotation = false; // T-spins only count when the piece was rotated into place
+        this.lastKick = 0; // Index of the wall kick used by the last rotation
+        this.lastTurns = 0; // Quarter turns of the last rotation: 1, -1 or 2
+        // Each player draws from their own stream so input timing never changes the sequence;
+        // 'bag7-shared' starts every stream from the game seed so the whole team gets the same pieces
+        this.random = createRandom(game.randomizerType === 'bag7-shared'
+            ? game.seed
+            : (game.seed + Math.imul(id + 1, 0x9E3779B9)) >>> 0);
+        this.randomizer = game.pieceSequences
+            ? createSequence(game.pieceSequences[id])
+            : createRandomizer(game.randomizerType, this.random);
+        this.stats = { ...PLAYER_STATS_TEMPLATE };
+        this.scoreStats = null; // Own score, lines and level in versus; the team shares sharedStats in co-op
+        this.incomingGarbage = []; // Attacks waiting to rise into the board, as { lines, hole }
+        this.lastTargetId = id; // Attacks go round the opponents in turn
+        this.spawnAnchor = typeof options.spawnAnchor === 'number' ? options.spawnAnchor : game.boardWidth / 2;
+    }
+
+    init() {
+        this.nextQueue = [];
+        this.fillQueue();
+        this.spawnPiece();
+    }
+
+    // The shared board in co-op, the player's own board in versus
+    get board() {
+        return this.game.getBoard(this.id);
+    }
+
+    get pendingGarbage() {
+        return this.incomingGarbage.reduce((sum, attack) => sum + attack.lines, 0);
+    }
+
+    get nextPiece() {
+        return this.nextQueue[0] || null;
+    }
+
+    // 0..1 while the piece rests on the stack, for the lock indicator
+    get lockProgress() {
+        if (this.lockTimer === null || this.game.lockDelay === 0) return 0;
+        return Math.min(1, this.lockTimer / this.game.lockDelay);
+    }
+
+    randomPiece() {
+        return this.randomizer.next();
+    }
+
+    fillQueue() {
+        while (this.nextQueue.length < NEXT_QUEUE_LENGTH) {
+            const type = this.randomPiece();
+            if (!type) break; // A fixed sequence ran out
+            this.nextQueue.push(type);
+        }
+    }
+
+    // Spawns the next queued piece, or the given shape key (used when swapping with hold)
+    spawnPiece(type = null) {
+        if (type) {
+            this.currentType = type;
+        } else {
+            this.currentType = this.nextQueue.shift() || null;
+            this.fillQueue();
+        }
+
+        // Once a fixed sequence runs out the held piece can still be played, then the player is out of pieces
+        if (!this.currentType && this.heldPiece) {
+            this.currentType = this.heldPiece;
+            this.heldPiece = null;
+        }
+        if (!this.currentType) {
+            this.currentPiece = null;
+            if (!this.game.isGameOver) {
+                this.game.knockOut(this);
+            }
+            return;
+        }
+        this.currentPiece = SHAPES[this.currentType];
+        this.rotation = 0;
+        const pieceWidth = this.currentPiece[0].length;
+        // Shapes with an empty top row (I) spawn one row higher so they appear on the top line
+        const spawnY = -this.currentPiece.findIndex(row => row.some(cell => cell));
+        const boardWidth = this.game.boardWidth;
+        const preferredX = Math.min(
+            boardWidth - pieceWidth,
+            Math.max(0, Math.round(this.spawnAnchor - pieceWidth / 2))
+        );
+
+        let spawnPosition = null;
+        const checked = new Set();
+
+        for (let offset = 0; offset < boardWidth; offset++) {
+            const candidates = [];
+            if (offset === 0) {
+                candidates.push(preferredX);
+            } else {
+                const left = preferredX - offset;
+                const right = preferredX + offset;
+
+                if (left >= 0) candidates.push(left);
+                if (right <= boardWidth - pieceWidth) candidates.push(right);
+            }
+
+            for (const candidate of candidates) {
+                if (checked.has(candidate)) continue;
+                checked.add(candidate);
+
+                if (!this.checkCollision(this.currentPiece, { x: candidate, y: spawnY }).collides) {
+                    spawnPosition = { x: candidate, y: spawnY };
+                    break;
+                }
+            }
+
+            if (spawnPosition) break;
+        }
+
+        this.position = spawnPosition || { x: preferredX, y: spawnY };
+        this.dropCounter = 0;
+        this.lockTimer = null;
+        this.lockResets = 0;
+        this.lowestY = this.position.y;
+        this.lastMoveWasRotation = false;
+
+        if (!spawnPosition && this.checkCollision().collides) {
+            this.gameOver = true;
+            this.stats.outFrame = this.game.frame;
+            this.game.emit('playerOut', this);
+            this.game.checkAllPlayersGameOver();
+            return;
+        }
+
+        this.game.emit('spawn', this);
+    }
+
+    checkCollision(piece = this.currentPiece, pos = this.position) {
+        const result = {
+            collides: false,
+            withLocked: false,
+            withActive: false
+        };
+
+        const board = this.board;
+        const boardWidth = this.game.boardWidth;
+        const boardHeight = this.game.boardHeight;
+
+        for (let y = 0; y < piece.length; y++) {
+            for (let x = 0; x < piece[y].length; x++) {
+                if (!piece[y][x]) continue;
+
+                const boardX = pos.x + x;
+                const boardY = pos.y + y;
+
+                if (boardX < 0 || boardX >= boardWidth || boardY >= boardHeight) {
+                    result.collides = true;
+                    result.withLocked = true;
+                    return result;
+                }
+
+                if (boardY < 0) continue;
+
+                if (board[boardY][boardX]) {
+                    result.collides = true;
+                    result.withLocked = true;
+                    return result;
+                }
+
+                if (this.game.isCellOccupiedByOtherPiece(boardX, boardY, this.id)) {
+                    result.collides = true;
+                    result.withActive = true;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    move(dir) {
+        this.position.x += dir;
+        if (this.checkCollision().collides) {
+            this.position.x -= dir;
+            return false;
+        }
+
+        this.lastMoveWasRotation = false;
+        this.resetLockTimer();
+        this.game.emit('move', this, dir);
+        return true;
+    }
+
+    // turns: 1 = clockwise, -1 = counter-clockwise, 2 = 180°
+    rotate(turns = 1) {
+        const from = this.rotation;
+        const to = (from + turns + 4) % 4;
+        const rotated = rotateMatrix(this.currentPiece, turns);
+
+        // Blocked kicks include teammates' falling pieces, via checkCollision
+        const kicks = getKicks(this.currentType, from, to);
+        for (let i = 0; i < kicks.length; i++) {
+            const [dx, dy] = kicks[i];
+            const position = { x: this.position.x + dx, y: this.position.y - dy };
+            if (this.checkCollision(rotated, position).collides) {
+                continue;
+            }
+
+            this.currentPiece = rotated;
+            this.position = position;
+            this.rotation = to;
+            this.lastMoveWasRotation = true;
+            this.lastKick = i;
+            this.lastTurns = turns;
+            this.resetLockTimer();
+            this.game.emit('rotate', this, turns);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Swap the falling piece with the hold slot; the first hold takes the next piece instead
+    hold() {
+        if (!this.canHold) return false;
+
+        const held = this.heldPiece;
+        this.heldPiece = this.currentType;
+        this.canHold = false;
+        this.game.emit('hold', this);
+        this.spawnPiece(held);
+        return true;
+    }
+
+    // Move down one row; touching down starts the lock delay (see updateLock) instead of locking right away
+    fall() {
+        this.position.y++;
+        if (this.checkCollision().collides) {
+            this.position.y--;
+            return false;
+        }
+
+        this.lastMoveWasRotation = false;
+        if (this.position.y > this.lowestY) {
+            this.lowestY = this.position.y;
+            this.lockResets = 0;
+        }
+        return true;
+    }
+
+    // Soft drop
+    drop() {
+        if (this.fall()) {
+            this.game.awardDropPoints(this, SOFT_DROP_SCORE);
+        }
+        this.dropCounter = 0;
+        return true;
+    }
+
+    isGrounded() {
+        return this.checkCollision(this.currentPiece, { x: this.position.x, y: this.position.y + 1 }).withLocked;
+    }
+
+    // A successful move or rotation on the stack restarts the lock delay, up to the reset limit
+    resetLockTimer() {
+        if (this.lockTimer === null || this.lockResets >= this.game.moveResetLimit) return;
+        this.lockTimer = 0;
+        this.lockResets++;
+    }
+
+    updateLock(deltaTime) {
+        if (!this.isGrounded()) {
+            this.lockTimer = null;
+            return;
+        }
+
+        this.lockTimer = (this.lockTimer === null ? 0 : this.lockTimer + deltaTime);
+        if (this.lockTimer >= this.game.lockDelay) {
+            this.lock();
+        }
+    }
+
+    // Where a hard drop would stop; teammates' falling pieces block it just like locked cells
+    getLandingPosition() {
+        let y = this.position.y;
+        let landedOnLocked = false;
+
+        for (let maxDrops = this.game.boardHeight; maxDrops > 0; maxDrops--) { // Safety limit
+            const collision = this.checkCollision(this.currentPiece, { x: this.position.x, y: y + 1 });
+            if (collision.collides) {
+                landedOnLocked = collision.withLocked;
+                break;
+            }
+            y++;
+        }
+
+        return { x: this.position.x, y, landedOnLocked };
+    }
+
+    hardDrop() {
+        const landing = this.getLandingPosition();
+        if (landing.y > this.position.y) {
+            this.lastMoveWasRotation = false;
+            this.game.awardDropPoints(this, HARD_DROP_SCORE * (landing.y - this.position.y));
+        }
+        this.position.y = landing.y;
+
+        if (landing.landedOnLocked) {
+            this.lock();
+        }
+        this.dropCounter = 0;
+        return true;
+    }
+
+    // Three-corner rule: a T rotated into place with 3 of the 4 cells diagonal to its centre blocked.
+    // It is a mini unless both corners it points at are blocked or a quarter turn used the far (1, 2) kick.
+    detectTSpin() {
+        if (this.currentType !== 'T' || !this.lastMoveWasRotation) return null;
+
+        const corners = [[0, 0], [2, 0], [2, 2], [0, 2]]; // Clockwise from top-left
+        const blocked = corners.map(([x, y]) => this.game.isCellBlocked(this.position.x + x, this.position.y + y, this.board));
+        if (blocked.filter(Boolean).length < 3) return null;
+
+        // The corners a T points at in rotation r are corners[r] and corners[r + 1]
+        const front = blocked[this.rotation] && blocked[(this.rotation + 1) % 4];
+        // Index 4 is the (1, 2) kick only in the quarter-turn tables; in HALF_TURN_KICKS it is a one-column shift
+        const farKick = Math.abs(this.lastTurns) === 1 && this.lastKick === 4;
+        return front || farKick ? 'full' : 'mini';
+    }
+
+    // Actions per minute over the time this player was in play
+    get apm() {
+        const frames = this.stats.outFrame !== null ? this.stats.outFrame : this.game.frame;
+        const minutes = frames * FRAME_DURATION / 60000;
+        return minutes > 0 ? Math.round(this.stats.actions / minutes) : 0;
+    }
+
+    lock() {
+        const tSpin = this.detectTSpin();
+        const holesBefore = this.countHolesUnderPiece();
+        this.merge();
+        this.stats.pieces++;
+        this.stats.holes += Math.max(0, this.countHolesUnderPiece() - holesBefore);
+        this.game.emit('lock', this);
+        if (this.game.clearLines(this, tSpin) === 0) {
+            this.game.receiveGarbage(this);
+        }
+        this.game.boardVersion++;
+        this.canHold = true;
+        if (!this.gameOver) {
+            this.spawnPiece();
+        }
+    }
+
+    // Empty cells below the top of the stack in the columns this piece covers
+    countHolesUnderPiece() {
+        const board = this.board;
+        let holes = 0;
+
+        for (let x = 0; x < this.currentPiece[0].length; x++) {
+            if (!this.currentPiece.some(row => row[x])) continue;
+
+            const boardX = this.position.x + x;
+            let covered = false;
+            for (let y = 0; y < this.game.boardHeight; y++) {
+                if (board[y][boardX]) {
+                    covered = true;
+                } else if (covered) {
+                    holes++;
+                }
+            }
+        }
+        return holes;
+    }
+
+    merge() {
+        const board = this.board;
+        for (let y = 0; y < this.currentPiece.length; y++) {
+            for (let x = 0; x < this.currentPiece[y].length; x++) {
+                if (this.currentPiece[y][x]) {
+                    const boardY = this.position.y + y;
+                    const boardX = this.position.x + x;
+                    if (boardY >= 0) {
+                        board[boardY][boardX] = this.id + 1;
+                    }
+                }
+            }
+        }
+    }
+
+    update(deltaTime) {
+        if (this.gameOver) return;
+
+        this.dropCounter += deltaTime;
+        // Fast gravity moves several rows per frame; at 20G (interval 0) the piece falls straight to the stack
+        while (this.dropCounter > this.dropInterval) {
+            this.dropCounter -= this.dropInterval;
+            if (!this.fall()) {
+                this.dropCounter = 0;
+                break;
+            }
+        }
+        this.updateLock(deltaTime);
+    }
+}
+
+/**
+ * Headless game: in co-op one shared board and shared team stats, in versus a board and score per player.
+ * Options: numPlayers, mode (one of GAME_MODES), attackTable (versus; a preset name from ATTACK_TABLES
+ * or a custom table), colors, boardWidth, boardHeight, seed (number or text; random when omitted),
+ * randomizer (one of RANDOMIZERS), lockDelay (ms, 0 locks on touch), moveResetLimit,
+ * gravity (one of GRAVITY_CURVES), gravityTable (ms per row by level, for 'custom'), startLevel
+ * scoring (one of SCORING_MODELS) and goal (one of GOALS, with goalLines for sprint, goalTime in ms for ultra
+ * or objective for puzzle). Puzzles also pass board (starting locked cells) and pieces (a fixed sequence per player;
+ * a player whose sequence runs out is out).
+ *
+ * Events: 'spawn' (player), 'move' (player, dir), 'rotate' (player, turns), 'hold' (player), 'lock' (player),
+ * 'clear' (player, detail), 'attack' (player, target, lines), 'garbage' (player, lines), 'playerOut' (player),
+ * 'split' (split), 'eliminate' (player), 'gameOver' (), 'input' (record), 'step' () after each frame.
+ */
+class GameEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const numPlayers = Math.max(1, options.numPlayers || 1);
+        const colors = options.colors || [];
+
+        this.numPlayers = numPlayers;
+        this.mode = GAME_MODES.includes(options.mode) ? options.mode : DEFAULT_MODE;
+        this.seed = normalizeSeed(options.seed);
+        this.randomizerType = RANDOMIZERS.includes(options.randomizer) ? options.randomizer : DEFAULT_RANDOMIZER;
+        const columnsPerPlayer = Number.isInteger(options.columnsPerPlayer)
+            && options.columnsPerPlayer >= 0 && options.columnsPerPlayer <= MAX_COLUMNS_PER_PLAYER
+            ? options.columnsPerPlayer
+            : ADDITIONAL_COLUMNS_PER_PLAYER;
+        this.boardWidth = options.boardWidth || (this.mode === 'versus' ? BASE_BOARD_WIDTH : computeBoardWidth(numPlayers, columnsPerPlayer));
+        this.boardHeight = options.boardHeight || BOARD_HEIGHT;
+        this.scoring = SCORING_MODELS.includes(options.scoring) ? options.scoring : DEFAULT_SCORING;
+        this.gravity = GRAVITY_CURVES.includes(options.gravity) ? options.gravity : DEFAULT_GRAVITY;
+        this.gravityTable = normalizeGravityTable(options.gravityTable);
+        this.startLevel = Number.isInteger(options.startLevel)
+            ? Math.max(1, Math.min(MAX_START_LEVEL, options.startLevel))
+            : 1;
+        this.lockDelay = Number.isFinite(options.lockDelay)
+            ? Math.max(0, Math.min(MAX_LOCK_DELAY, options.lockDelay))
+            : DEFAULT_LOCK_DELAY;
+        this.moveResetLimit = Number.isInteger(options.moveResetLimit) && options.moveResetLimit >= 0
+            ? options.moveResetLimit
+            : DEFAULT_MOVE_RESET_LIMIT;
+        this.initialBoard = normalizeBoard(options.board, this.boardWidth, this.boardHeight, numPlayers);
+        const createBoard = () => (this.initialBoard
+            ? this.initialBoard.map(row => row.slice())
+            : createEmptyBoard(this.boardWidth, this.boardHeight));
+        this.board = createBoard();
+        this.boards = this.mode === 'versus' ? Array.from({ length: numPlayers }, createBoard) : null;
+        this.pieceSequences = normalizePieceSequences(options.pieces, numPlayers);
+        this.attackTable = normalizeAttackTable(options.attackTable);
+        // Garbage holes come from their own stream so they match on every client
+        this.garbageRandom = createRandom((this.seed ^ 0x5BD1E995) >>> 0);
+        this.winnerId = null; // Last player standing in versus
+        this.goal = GOALS.includes(options.goal) ? options.goal : null;
+        this.goalLines = Number.isInteger(options.goalLines) && options.goalLines > 0
+            ? options.goalLines
+            : DEFAULT_SPRINT_LINES;
+        this.goalTime = Number.isFinite(options.goalTime) && options.goalTime > 0 ? options.goalTime : ULTRA_DURATION;
+        this.objective = this.goal === 'puzzle' ? normalizeObjective(options.objective) : null;
+        this.goalReached = false; // Finished the sprint or the ultra clock, rather than topping out
+        this.splits = []; // { frame, time, lines, score } at each sprint or ultra checkpoint
+        this.sharedStats = { ...TEAM_SCORE_TEMPLATE };
+        this.sharedStatsDirty = false;
+        this.isGameOver = false;
+        this.started = false;
+        this.boardVersion = 0; // Bumped whenever locked cells change, so snapshots can skip the board
+        this.frame = 0;
+        this.elapsed = 0;
+        this.accumulator = 0;
+
+        this.players = [];
+        for (let i = 0; i < numPlayers; i++) {
+            const spawnAnchor = this.mode === 'versus'
+                ? this.boardWidth / 2
+                : ((i + 1) / (numPlayers + 1)) * this.boardWidth;
+            this.players.push(new Player(this, i, { color: colors[i], spawnAnchor }));
+        }
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.resetSharedStats();
+        this.players.forEach(player => {
+            if (this.mode === 'versus') {
+                player.scoreStats = { ...TEAM_SCORE_TEMPLATE, level: this.startLevel };
+            }
+            player.init();
+            const stats = this.getScoreStats(player);
+            player.score = stats.score;
+            player.level = stats.level;
+            player.lines = stats.lines;
+        });
+    }
+
+    getBoard(playerId) {
+        return this.boards ? this.boards[playerId] : this.board;
+    }
+
+    // Score, lines, level, combo and back-to-back state that the player's clears count towards
+    getScoreStats(player) {
+        return player.scoreStats || this.sharedStats;
+    }
+
+    // Players sharing a player's score stats: the whole team in co-op, just themselves in versus
+    getScoreMembers(player) {
+        return player.scoreStats ? [player] : this.players;
+    }
+
+    // Walls, floor and locked cells; used for T-spin corners
+    isCellBlocked(x, y, board = this.board) {
+        if (x < 0 || x >= this.boardWidth || y >= this.boardHeight) return true;
+        if (y < 0) return false;
+        return board[y][x] !== 0;
+    }
+
+    getDropInterval(level) {
+        return getDropInterval(this.gravity, level, this.gravityTable);
+    }
+
+    resetSharedStats() {
+        this.sharedStats = { ...TEAM_SCORE_TEMPLATE, level: this.startLevel };
+        this.sharedStatsDirty = true;
+    }
+
+    getPlayer(id) {
+        return this.players[id] || null;
+    }
+
+    // Advance the simulation by real elapsed time, in whole fixed steps
+    tick(deltaTime) {
+        if (!this.started || this.isGameOver) return 0;
+
+        this.accumulator += Math.max(0, deltaTime || 0);
+        let steps = 0;
+        while (this.accumulator >= FRAME_DURATION && steps < MAX_STEPS_PER_TICK) {
+            this.step();
+            this.accumulator -= FRAME_DURATION;
+            steps++;
+            if (this.isGameOver) break;
+        }
+
+        if (steps === MAX_STEPS_PER_TICK) {
+            this.accumulator = 0;
+        }
+
+        return steps;
+    }
+
+    // Advance the simulation by exactly one fixed step
+    step() {
+        if (!this.started || this.isGameOver) return;
+
+        this.frame++;
+        this.elapsed += FRAME_DURATION;
+        this.players.forEach(player => player.update(FRAME_DURATION));
+        this.checkGoal();
+        this.emit('step');
+    }
+
+    // Remaining ultra time or elapsed sprint time, in milliseconds; frame-based so it never drifts
+    get goalClock() {
+        const elapsed = this.frame * FRAME_DURATION;
+        return this.goal === 'ultra' ? Math.max(0, this.goalTime - elapsed) : elapsed;
+    }
+
+    // Pieces the players have yet to lock from their fixed sequences; null when pieces are random
+    get piecesLeft() {
+        if (!this.pieceSequences) return null;
+        return this.players.reduce((sum, player) => sum + Math.max(0, this.pieceSequences[player.id].length - player.stats.pieces), 0);
+    }
+
+    isObjectiveMet() {
+        const stats = this.sharedStats;
+        switch (this.objective.type) {
+            case 'lines':
+                return stats.lines >= this.objective.lines;
+            case 'tspin': {
+                const detail = stats.lastClearDetail;
+                return Boolean(detail && detail.tSpin === 'full' && detail.linesCleared >= this.objective.lines);
+            }
+            case 'clear':
+            default:
+                return this.board.every(row => row.every(cell => cell === 0));
+        }
+    }
+
+    // Record splits and end the game once the sprint lines are cleared, the ultra time is up or the puzzle is solved
+    checkGoal() {
+        if (!this.goal || this.isGameOver) return;
+
+        if (this.goal === 'puzzle') {
+            if (this.isObjectiveMet()) {
+                this.finishGoal();
+            }
+            return;
+        }
+
+        const stats = this.sharedStats;
+        const time = this.frame * FRAME_DURATION;
+        let reached;
+        if (this.goal === 'sprint') {
+            let next = (this.splits.length + 1) * SPRINT_SPLIT_LINES;
+            while (next < this.goalLines && stats.lines >= next) {
+                this.addSplit(time);
+                next += SPRINT_SPLIT_LINES;
+            }
+            reached = stats.lines >= this.goalLines;
+        } else {
+            const goalFrames = Math.round(this.goalTime / FRAME_DURATION);
+            const splitFrames = Math.round(ULTRA_SPLIT_TIME / FRAME_DURATION);
+            if (this.frame % splitFrames === 0 && this.frame < goalFrames) {
+                this.addSplit(time);
+            }
+            reached = this.frame >= goalFrames;
+        }
+
+        if (reached) {
+            this.addSplit(time);
+            this.finishGoal();
+        }
+    }
+
+    finishGoal() {
+        this.goalReached = true;
+        this.isGameOver = true;
+        this.emit('gameOver');
+    }
+
+    addSplit(time) {
+        const split = {
+            frame: this.frame,
+            time,
+            lines: this.sharedStats.lines,
+            score: this.sharedStats.score
+        };
+        this.splits.push(split);
+        this.emit('split', split);
+    }
+
+    // Apply a player action; every input source (keyboard, network, server) goes through here
+    input(playerId, action, value) {
+        const player = this.getPlayer(playerId);
+        if (!this.started || this.isGameOver || !player || player.gameOver) {
+            return false;
+        }
+
+        let applied;
+        switch (action) {
+            case 'move':
+                if (value !== -1 && value !== 1) return false;
+                applied = player.move(value);
+                break;
+            case 'rotate':
+                applied = player.rotate(1);
+                break;
+            case 'rotateCCW':
+                applied = player.rotate(-1);
+                break;
+            case 'rotate180':
+                applied = player.rotate(2);
+                break;
+            case 'hold':
+                applied = player.hold();
+                break;
+            case 'drop':
+                applied = player.drop();
+                break;
+            case 'hardDrop':
+                applied = player.hardDrop();
+                break;
+            default:
+                return false;
+        }
+
+        if (applied) {
+            player.stats.actions++;
+        }
+        this.emit('input', { frame: this.frame, playerId, action, value, applied });
+        return applied;
+    }
+
+    // Remove a player from play (e.g. they left an online room); replays record it like an input
+    eliminatePlayer(playerId) {
+        const player = this.getPlayer(playerId);
+        if (!player || player.gameOver) return;
+
+        this.emit('eliminate', player);
+        this.knockOut(player);
+    }
+
+    knockOut(player) {
+        player.gameOver = true;
+        player.stats.outFrame = this.frame;
+        this.emit('playerOut', player);
+        this.checkAllPlayersGameOver();
+    }
+
+    // Everything needed to build an identical engine, e.g. for a replay
+    getReplayOptions() {
+        return {
+            numPlayers: this.numPlayers,
+            mode: this.mode,
+            attackTable: { ...this.attackTable },
+            colors: this.players.map(player => player.color),
+            boardWidth: this.boardWidth,
+            boardHeight: this.boardHeight,
+            seed: this.seed,
+            randomizer: this.randomizerType,
+            lockDelay: this.lockDelay,
+            moveResetLimit: this.moveResetLimit,
+            gravity: this.gravity,
+            gravityTable: this.gravityTable ? this.gravityTable.slice() : null,
+            startLevel: this.startLevel,
+            scoring: this.scoring,
+            goal: this.goal,
+            goalLines: this.goalLines,
+            goalTime: this.goalTime,
+            objective: this.objective ? { ...this.objective } : null,
+            board: this.initialBoard ? this.initialBoard.map(row => row.slice()) : null,
+            pieces: this.pieceSequences ? this.pieceSequences.map(sequence => sequence.slice()) : null
+        };
+    }
+
+    // Serializable state for network sync; the board is optional because it changes only on lock
+    getSnapshot(includeBoard = true) {
+        const snapshot = {
+            frame: this.frame,
+            mode: this.mode,
+            boardVersion: this.boardVersion,
+            isGameOver: this.isGameOver,
+            winnerId: this.winnerId,
+            sharedStats: { ...this.sharedStats },
+            players: this.players.map(player => ({
+                id: player.id,
+                currentPiece: player.currentPiece,
+                currentType: player.currentType,
+                rotation: player.rotation,
+                nextQueue: player.nextQueue.slice(),
+                heldPiece: player.heldPiece,
+                canHold: player.canHold,
+                position: { ...player.position },
+                gameOver: player.gameOver,
+                dropInterval: player.dropInterval,
+                lockTimer: player.lockTimer,
+                stats: { ...player.stats },
+                scoreStats: player.scoreStats ? { ...player.scoreStats } : null,
+                incomingGarbage: player.incomingGarbage.map(attack => ({ ...attack }))
+            }))
+        };
+
+        if (includeBoard) {
+            if (this.boards) {
+                snapshot.boards = this.boards.map(board => board.map(row => row.slice()));
+            } else {
+                snapshot.board = this.board.map(row => row.slice());
+            }
+        }
+
+        return snapshot;
+    }
+
+    // Replace local state with an authoritative snapshot (see getSnapshot)
+    applySnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.players)) return;
+
+        this.started = true;
+        this.frame = snapshot.frame;
+
+        if (Array.isArray(snapshot.board) && snapshot.board.length === this.boardHeight) {
+            // Rows are replaced in place so references to this.board stay valid
+            snapshot.board.forEach((row, y) => {
+                this.board[y] = row.slice(0, this.boardWidth);
+            });
+            this.boardVersion = snapshot.boardVersion;
+        }
+
+        if (this.boards && Array.isArray(snapshot.boards)) {
+            snapshot.boards.forEach((rows, index) => {
+                const board = this.boards[index];
+                if (!board || !Array.isArray(rows) || rows.length !== this.boardHeight) return;
+                rows.forEach((row, y) => {
+                    board[y] = row.slice(0, this.boardWidth);
+                });
+            });
+            this.boardVersion = snapshot.boardVersion;
+        }
+
+        snapshot.players.forEach(state => {
+            const player = this.getPlayer(state.id);
+            if (!player) return;
+
+            const wasGameOver = player.gameOver;
+            player.currentPiece = state.currentPiece;
+            player.currentType = state.currentType;
+            player.rotation = state.rotation;
+            player.nextQueue = state.nextQueue.slice();
+            player.heldPiece = state.heldPiece;
+            player.canHold = state.canHold;
+            player.position = { ...state.position };
+            player.gameOver = state.gameOver;
+            player.dropInterval = state.dropInterval;
+            player.lockTimer = state.lockTimer;
+            player.stats = { ...state.stats };
+            player.incomingGarbage = (state.incomingGarbage || []).map(attack => ({ ...attack }));
+            if (state.scoreStats) {
+                if (state.scoreStats.score !== player.score || state.scoreStats.lines !== player.lines) {
+                    this.sharedStatsDirty = true;
+                }
+                player.scoreStats = { ...state.scoreStats };
+                player.score = state.scoreStats.score;
+                player.lines = state.scoreStats.lines;
+                player.level = state.scoreStats.level;
+            }
+
+            if (!wasGameOver && player.gameOver) {
+                this.emit('playerOut', player);
+            }
+        });
+
+        const stats = snapshot.sharedStats;
+        if (stats) {
+            const previous = this.sharedStats;
+            if (stats.lastClearDetail ||
+                stats.score !== previous.score ||
+                stats.lines !== previous.lines ||
+                stats.comboChain !== previous.comboChain) {
+                this.sharedStatsDirty = true;
+            }
+            this.sharedStats = { ...stats };
+            this.players.forEach(player => {
+                if (player.scoreStats) return;
+                player.score = stats.score;
+                player.lines = stats.lines;
+                player.level = stats.level;
+            });
+        }
+
+        if (snapshot.isGameOver && !this.isGameOver) {
+            this.winnerId = snapshot.winnerId !== undefined ? snapshot.winnerId : null;
+            this.isGameOver = true;
+            this.emit('gameOver');
+        }
+    }
+
+    isCellOccupiedByOtherPiece(x, y, currentPlayerId) {
+        if (this.boards) return false; // Versus pieces never share a board
+
+        return this.players.some(player => {
+            if (player.id === currentPlayerId || player.gameOver || !player.currentPiece) {
+                return false;
+            }
+
+            for (let py = 0; py < player.currentPiece.length; py++) {
+                for (let px = 0; px < player.currentPiece[py].length; px++) {
+                    if (!player.currentPiece[py][px]) continue;
+                    const boardX = player.position.x + px;
+                    const boardY = player.position.y + py;
+
+                    if (boardX === x && boardY === y) {
+                        return true;
+                    }
+                }
+            }
+
+            return false;
+        });
+    }
+
+    // Drop points only exist in guideline scoring
+    awardDropPoints(player, points) {
+        player.stats.dropPoints += points;
+        if (this.scoring !== 'guideline' || points <= 0) return;
+
+        const stats = this.getScoreStats(player);
+        player.stats.score += points;
+        stats.score += points;
+        this.getScoreMembers(player).forEach(p => {
+            p.score = stats.score;
+        });
+        this.sharedStatsDirty = true;
+    }
+
+    clearLines(player, tSpin = null) {
+        let linesCleared = 0;
+
+        const board = player.board;
+        for (let y = this.boardHeight - 1; y >= 0; y--) {
+            if (board[y].every(cell => cell !== 0)) {
+                // Cells store the id + 1 of the player who placed them
+                board[y].forEach(cell => {
+                    const owner = this.getPlayer(cell - 1);
+                    if (owner) owner.stats.cellsCleared++;
+                });
+                board.splice(y, 1);
+                board.unshift(Array(this.boardWidth).fill(0));
+                linesCleared++;
+                y++; // Check the same row again
+            }
+        }
+
+        const stats = this.getScoreStats(player);
+        const members = this.getScoreMembers(player);
+
+        if (linesCleared === 0) {
+            if (stats.comboChain !== 0) {
+                stats.comboChain = 0;
+                this.sharedStatsDirty = true;
+            }
+            stats.lastClearDetail = null;
+
+            // A T-spin without lines still scores (and keeps back-to-back) in guideline scoring
+            if (tSpin && this.scoring === 'guideline') {
+                const detail = this.scoreGuidelineClear(0, tSpin, false, false, stats);
+                stats.score += detail.totalScore;
+                player.stats.score += detail.totalScore;
+                stats.lastClearDetail = detail;
+                members.forEach(p => {
+                    p.score = stats.score;
+                });
+                this.sharedStatsDirty = true;
+            }
+            return 0;
+        }
+
+        const perfectClear = board.every(row => row.every(cell => cell === 0));
+        const difficult = linesCleared >= 4 || Boolean(tSpin);
+        const backToBack = difficult && stats.backToBack > 0;
+        stats.backToBack = difficult ? stats.backToBack + 1 : 0;
+        stats.comboChain = (stats.comboChain || 0) + 1;
+
+        const detail = this.scoring === 'guideline'
+            ? this.scoreGuidelineClear(linesCleared, tSpin, backToBack, perfectClear, stats)
+            : this.scoreTeamClear(linesCleared, stats);
+        detail.tSpin = tSpin;
+        detail.backToBack = backToBack;
+        detail.perfectClear = perfectClear;
+        detail.level = stats.level;
+
+        stats.lines += linesCleared;
+        stats.score += detail.totalScore;
+        player.stats.lines += linesCleared;
+        player.stats.score += detail.totalScore;
+        stats.level = this.startLevel + Math.floor(stats.lines / 10);
+        stats.lastClearDetail = detail;
+
+        if (this.mode === 'versus') {
+            detail.attack = this.getAttack(linesCleared, tSpin, backToBack, perfectClear, stats.comboChain);
+            this.sendGarbage(player, detail.attack);
+        }
+
+        members.forEach(p => {
+            p.dropInterval = this.getDropInterval(stats.level);
+            p.lines = stats.lines;
+            p.score = stats.score;
+            p.level = stats.level;
+        });
+
+        this.sharedStatsDirty = true;
+        this.emit('clear', player, stats.lastClearDetail);
+        this.checkGoal();
+        return linesCleared;
+    }
+
+    // Team formula: base points per line boosted by the clear streak and by clearing several lines at once
+    scoreTeamClear(linesCleared, stats = this.sharedStats) {
+        const comboChain = stats.comboChain;
+        const comboMultiplier = 1 + STREAK_BONUS_STEP * (comboChain - 1);
+        const multiMultiplier = 1 + MULTI_LINE_BONUS_STEP * (linesCleared - 1);
+        const perLineScore = Math.round(BASE_LINE_SCORE * comboMultiplier * multiMultiplier);
+
+        return {
+            model: 'team',
+            linesCleared,
+            totalScore: perLineScore * linesCleared,
+            perLineScore,
+            basePerLine: BASE_LINE_SCORE,
+            comboChain,
+            comboMultiplier,
+            multiMultiplier,
+            streakBonusPercent: Math.round((comboMultiplier - 1) * 100),
+            multiBonusPercent: Math.round((multiMultiplier - 1) * 100)
+        };
+    }
+
+    // Guideline: action points (x1.5 back-to-back), combo and perfect clear bonuses, all times the level
+    scoreGuidelineClear(linesCleared, tSpin, backToBack, perfectClear, stats = this.sharedStats) {
+        const level = stats.level;
+        const lines = Math.min(linesCleared, 4);
+
+        let actionScore = (tSpin ? GUIDELINE_TSPIN_SCORES[tSpin][lines] : GUIDELINE_LINE_SCORES[lines]) * level;
+        if (backToBack) {
+            actionScore = Math.round(actionScore * BACK_TO_BACK_MULTIPLIER);
+        }
+
+        const combo = linesCleared > 0 ? stats.comboChain - 1 : 0;
+        const comboBonus = COMBO_SCORE * combo * level;
+
+        let perfectClearBonus = 0;
+        if (perfectClear) {
+            perfectClearBonus = (backToBack && lines === 4
+                ? BACK_TO_BACK_PERFECT_TETRIS_SCORE
+                : GUIDELINE_PERFECT_CLEAR_SCORES[lines]) * level;
+        }
+
+        const totalScore = actionScore + comboBonus + perfectClearBonus;
+        return {
+            model: 'guideline',
+            linesCleared,
+            totalScore,
+            perLineScore: linesCleared > 0 ? Math.round(totalScore / linesCleared) : totalScore,
+            actionScore,
+            comboBonus,
+            perfectClearBonus,
+            comboChain: stats.comboChain,
+            tSpin,
+            backToBack,
+            perfectClear,
+            level,
+            // Team formula fields, neutral here
+            basePerLine: GUIDELINE_LINE_SCORES[lines],
+            comboMultiplier: 1,
+            multiMultiplier: 1,
+            streakBonusPercent: 0,
+            multiBonusPercent: 0
+        };
+    }
+
+    // Garbage rows a clear sends, before cancelling against the attacker's own incoming garbage
+    getAttack(linesCleared, tSpin, backToBack, perfectClear, comboChain) {
+        const table = this.attackTable;
+        const pick = (list, index) => list[Math.max(0, Math.min(index, list.length - 1))];
+
+        const row = tSpin === 'full' ? table.tSpin : tSpin === 'mini' ? table.tSpinMini : table.lines;
+        let attack = pick(row, linesCleared);
+        if (backToBack) attack += table.backToBack;
+        attack += pick(table.combo, comboChain - 1);
+        if (perfectClear) attack += table.perfectClear;
+        return attack;
+    }
+
+    // Cancel the attacker's incoming garbage first, then send what is left to the next opponent in turn
+    sendGarbage(attacker, lines) {
+        let remaining = lines;
+        while (remaining > 0 && attacker.incomingGarbage.length) {
+            const pending = attacker.incomingGarbage[0];
+            const cancelled = Math.min(pending.lines, remaining);
+            pending.lines -= cancelled;
+            remaining -= cancelled;
+            if (pending.lines === 0) {
+                attacker.incomingGarbage.shift();
+            }
+        }
+
+        const target = this.getAttackTarget(attacker);
+        if (remaining <= 0 || !target) return;
+
+        target.incomingGarbage.push({
+            lines: remaining,
+            hole: Math.floor(this.garbageRandom() * this.boardWidth)
+        });
+        attacker.stats.attack += remaining;
+        this.emit('attack', attacker, target, remaining);
+    }
+
+    getAttackTarget(attacker) {
+        const opponents = this.players.filter(player => player !== attacker && !player.gameOver);
+        if (!opponents.length) return null;
+
+        const target = opponents.find(player => player.id > attacker.lastTargetId) || opponents[0];
+        attacker.lastTargetId = target.id;
+        return target;
+    }
+
+    // Raise the player's incoming garbage into their board; pushing blocks out of the top tops them out
+    receiveGarbage(player) {
+        if (!player.incomingGarbage.length) return;
+
+        const board = player.board;
+        let received = 0;
+        for (const attack of player.incomingGarbage) {
+            for (let i = 0; i < attack.lines; i++) {
+                if (board[0].some(cell => cell !== 0)) {
+                    player.incomingGarbage = [];
+                    this.knockOut(player);
+                    return;
+                }
+
+                const row = Array(this.boardWidth).fill(GARBAGE_CELL);
+                row[attack.hole] = 0;
+                board.shift();
+                board.push(row);
+                received++;
+            }
+        }
+
+        player.incomingGarbage = [];
+        player.stats.garbageReceived += received;
+        this.emit('garbage', player, received);
+    }
+
+    checkAllPlayersGameOver() {
+        if (!this.players.length || this.isGameOver) return;
+
+        const alive = this.players.filter(player => !player.gameOver);
+        if (this.mode === 'versus' && this.players.length > 1) {
+            // Last player standing wins
+            if (alive.length > 1) return;
+            this.winnerId = alive.length ? alive[0].id : null;
+        } else if (alive.length) {
+            return;
+        }
+
+        this.isGameOver = true;
+        this.emit('gameOver');
+    }
+}
+
+// A computer player. When its piece spawns it thinks for a moment, picks the best placement on its board and
+// steers the piece there one action at a time through engine.input, so replays and the server treat it like anyone else
+class Bot {
+    constructor(engine, playerId, difficulty = DEFAULT_BOT_DIFFICULTY) {
+        this.engine = engine;
+        this.playerId = playerId;
+        this.difficulty = BOT_DIFFICULTIES[difficulty] ? difficulty : DEFAULT_BOT_DIFFICULTY;
+        this.settings = BOT_DIFFICULTIES[this.difficulty];
+        // Own stream, so mistakes never change anyone's pieces
+        this.random = createRandom((engine.seed ^ Math.imul(playerId + 1, 0x2545F491)) >>> 0);
+        this.target = null; // { rotation, x } chosen for the falling piece
+        this.targetBoardVersion = -1; // A teammate's lock changes the board, and with it the best placement
+        this.wait = this.settings.thinkFrames;
+        this.failures = 0;
+        this.dodge = false; // Next action is a soft drop to slip under a teammate's piece
+
+        this.unsubscribe = [
+            engine.on('spawn', player => {
+                if (player.id !== this.playerId) return;
+                this.target = null;
+                this.failures = 0;
+                this.wait = this.settings.thinkFrames;
+            }),
+            engine.on('step', () => this.update())
+        ];
+    }
+
+    // Hands the player back, e.g. when a disconnected player returns to their seat
+    stop() {
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+    }
+
+    update() {
+        const player = this.engine.getPlayer(this.playerId);
+        if (this.engine.isGameOver || !player || player.gameOver || !player.currentPiece) return;
+
+        if (this.wait > 0) {
+            this.wait--;
+            return;
+        }
+
+        if (!this.target || this.targetBoardVersion !== this.engine.boardVersion) {
+            this.target = this.chooseTarget(player);
+            this.targetBoardVersion = this.engine.boardVersion;
+        }
+        const [action, value] = this.failures >= BOT_MAX_FAILURES ? ['hardDrop'] : this.nextAction(player);
+        // Set first: a hard drop spawns the next piece, which starts a new think
+        this.wait = this.settings.actionFrames;
+        if (!action || !this.engine.input(this.playerId, action, value)) {
+            // Usually a teammate's piece is in the way: slip below it and give it a moment to move on
+            this.dodge = action === 'move';
+            this.failures++;
+            if (this.failures === BOT_PATIENCE) {
+                this.target = null;
+            }
+        }
+    }
+
+    nextAction(player) {
+        if (this.dodge) {
+            this.dodge = false;
+            return ['drop'];
+        }
+        const turns = (this.target.rotation - player.rotation + 4) % 4;
+        if (turns === 1) return ['rotate'];
+        if (turns === 2) return ['rotate180'];
+        if (turns === 3) return ['rotateCCW'];
+        if (player.position.x !== this.target.x) {
+            return ['move', Math.sign(this.target.x - player.position.x)];
+        }
+        // Dropping onto a teammate's falling piece would leave this one hanging wherever theirs ends up
+        return player.getLandingPosition().landedOnLocked ? ['hardDrop'] : [];
+    }
+
+    // Every rotation and every column the piece can slide to from where it is, best first. Teammates' pieces
+    // usually move on, so at first they only make a column less attractive (see evaluate); once one has
+    // blocked this piece for a while, the columns behind it are out of reach so two bots never wait on each other
+    chooseTarget(player) {
+        const candidates = [];
+        const seen = new Set();
+        const crowdedColumns = this.getTeammateColumns(player);
+        for (let rotation = 0; rotation < 4; rotation++) {
+            const piece = rotateMatrix(player.currentPiece, (rotation - player.rotation + 4) % 4);
+            const key = piece.map(row => row.join('')).join('/');
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            this.getReachableColumns(player, piece).forEach(x => {
+                const y = this.getLandingRow(player, piece, x);
+                candidates.push({ rotation, x, score: this.evaluate(player, piece, x, y, crowdedColumns) });
+            });
+        }
+
+        if (!candidates.length) {
+            return { rotation: player.rotation, x: player.position.x };
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+        if (candidates.length > 1 && this.random() < this.settings.mistakeChance) {
+            const index = 1 + Math.floor(this.random() * BOT_MISTAKE_SPREAD);
+            return candidates[Math.min(index, candidates.length - 1)];
+        }
+        return candidates[0];
+    }
+
+    getReachableColumns(player, piece) {
+        const y = player.position.y;
+        const fits = x => {
+            const collision = player.checkCollision(piece, { x, y });
+            return this.failures >= BOT_PATIENCE ? !collision.collides : !collision.withLocked;
+        };
+        if (!fits(player.position.x)) return [];
+
+        const columns = [player.position.x];
+        for (let x = player.position.x - 1; fits(x); x--) columns.push(x);
+        for (let x = player.position.x + 1; fits(x); x++) columns.push(x);
+        return columns;
+    }
+
+    getLandingRow(player, piece, x) {
+        let y = player.position.y;
+        while (!player.checkCollision(piece, { x, y: y + 1 }).withLocked) {
+            y++;
+        }
+        return y;
+    }
+
+    evaluate(player, piece, x, y, crowdedColumns) {
+        const width = this.engine.boardWidth;
+        const board = player.board.map(row => row.slice());
+        let crowding = 0;
+
+        for (let py = 0; py < piece.length; py++) {
+            for (let px = 0; px < piece[py].length; px++) {
+                if (!piece[py][px]) continue;
+                // Locking above the top ends the game
+                if (y + py < 0) return -Infinity;
+                board[y + py][x + px] = 1;
+                if (crowdedColumns.has(x + px)) crowding++;
+            }
+        }
+
+        const remaining = board.filter(row => row.some(cell => !cell));
+        const lines = board.length - remaining.length;
+
+        const heights = [];
+        let holes = 0;
+        for (let column = 0; column < width; column++) {
+            const top = remaining.findIndex(row => row[column]);
+            heights.push(top === -1 ? 0 : remaining.length - top);
+            if (top === -1) continue;
+            for (let row = top + 1; row < remaining.length; row++) {
+                if (!remaining[row][column]) holes++;
+            }
+        }
+
+        let bumpiness = 0;
+        for (let column = 1; column < width; column++) {
+            bumpiness += Math.abs(heights[column] - heights[column - 1]);
+        }
+        const height = heights.reduce((sum, value) => sum + value, 0);
+
+        return BOT_WEIGHTS.height * height
+            + BOT_WEIGHTS.lines * lines
+            + BOT_WEIGHTS.holes * holes
+            + BOT_WEIGHTS.bumpiness * bumpiness
+            + BOT_WEIGHTS.crowding * crowding;
+    }
+
+    // Columns under teammates' falling pieces on the shared board
+    getTeammateColumns(player) {
+        const columns = new Set();
+        if (this.engine.boards) return columns;
+
+        this.engine.players.forEach(other => {
+            if (other === player || other.gameOver || !other.currentPiece) return;
+            other.currentPiece.forEach(row => row.forEach((cell, px) => {
+                if (cell) columns.add(other.position.x + px);
+            }));
+        });
+        return columns;
+    }
+}
+
+// Collects a replay of a running engine: its options plus every applied input and elimination by frame
+class ReplayRecorder {
+    constructor(engine) {
+        this.engine = engine;
+        this.options = engine.getReplayOptions();
+        this.inputs = []; // [frame, playerId, action, value]
+
+        engine.on('input', record => {
+            if (record.applied) {
+                this.inputs.push([record.frame, record.playerId, record.action, record.value === undefined ? null : record.value]);
+            }
+        });
+        engine.on('eliminate', player => {
+            this.inputs.push([engine.frame, player.id, 'eliminate', null]);
+        });
+    }
+
+    getReplay(meta = {}) {
+        return {
+            version: REPLAY_VERSION,
+            options: this.options,
+            frames: this.engine.frame,
+            inputs: this.inputs.map(input => input.slice()),
+            meta
+        };
+    }
+}
+
+// Re-runs a replay through a fresh engine; frames only move forward, so seeking back starts over
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.totalFrames = replay.frames;
+        this.reset();
+    }
+
+    reset() {
+        this.engine = new GameEngine(this.replay.options);
+        this.engine.start();
+        this.cursor = 0;
+        this.applyInputs();
+    }
+
+    get frame() {
+        return this.engine.frame;
+    }
+
+    get finished() {
+        return this.engine.isGameOver || this.engine.frame >= this.totalFrames;
+    }
+
+    // Inputs recorded at frame N were applied after N steps
+    applyInputs() {
+        const inputs = this.replay.inputs;
+        while (this.cursor < inputs.length && inputs[this.cursor][0] <= this.engine.frame) {
+            const [, playerId, action, value] = inputs[this.cursor];
+            if (action === 'eliminate') {
+                this.engine.eliminatePlayer(playerId);
+            } else {
+                this.engine.input(playerId, action, value === null ? undefined : value);
+            }
+            this.cursor++;
+        }
+    }
+
+    step() {
+        if (this.finished) return false;
+        this.engine.step();
+        this.applyInputs();
+        return true;
+    }
+
+    seek(frame) {
+        const target = Math.max(0, Math.min(this.totalFrames, Math.floor(frame)));
+        if (target < this.engine.frame) {
+            this.reset();
+        }
+        while (this.engine.frame < target) {
+            if (!this.step()) break;
+        }
+    }
+}
+
+function encodeReplay(replay) {
+    const inputs = [];
+    let lastFrame = 0;
+    replay.inputs.forEach(([frame, playerId, action, value]) => {
+        const code = REPLAY_INPUT_CODES.indexOf(action === 'move' ? `move:${value}` : action);
+        if (code === -1) return;
+        inputs.push(frame - lastFrame, playerId, code);
+        lastFrame = frame;
+    });
+
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        options: replay.options,
+        frames: replay.frames,
+        inputs,
+        meta: replay.meta || {}
+    };
+}
+
+// Returns null for a playable replay file, otherwise why it can't be played: 'format' (not a replay file),
+// 'old-version' or 'new-version' (recorded by another build, whose inputs would desync) or 'invalid'
+function validateReplayFile(data) {
+    if (!data || typeof data !== 'object' || data.format !== REPLAY_FORMAT || !Number.isInteger(data.version)) {
+        return 'format';
+    }
+    if (data.version < REPLAY_VERSION) return 'old-version';
+    if (data.version > REPLAY_VERSION) return 'new-version';
+
+    const options = data.options;
+    const isCount = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+    const isNumberOrMissing = value => value === undefined || value === null || Number.isFinite(value);
+    if (!options || typeof options !== 'object'
+        || !isCount(options.numPlayers, 1, MAX_REPLAY_PLAYERS)
+        || !isCount(options.seed, 0, 0xFFFFFFFF)
+        || !isCount(options.boardWidth, 4, MAX_REPLAY_BOARD_SIZE)
+        || !isCount(options.boardHeight, 4, MAX_REPLAY_BOARD_SIZE)
+        || !GAME_MODES.includes(options.mode)
+        || !RANDOMIZERS.includes(options.randomizer)
+        || !SCORING_MODELS.includes(options.scoring)
+        || !GRAVITY_CURVES.includes(options.gravity)
+        || !(options.goal === null || options.goal === undefined || GOALS.includes(options.goal))
+        || !Array.isArray(options.colors) || options.colors.length !== options.numPlayers
+        || !options.colors.every(color => color === null || typeof color === 'string')
+        || !['lockDelay', 'moveResetLimit', 'startLevel', 'goalLines', 'goalTime'].every(key => isNumberOrMissing(options[key]))) {
+        return 'invalid';
+    }
+    // Puzzle replays carry their starting board and pieces
+    if ((options.board !== undefined && options.board !== null
+            && !normalizeBoard(options.board, options.boardWidth, options.boardHeight, options.numPlayers))
+        || (options.pieces !== undefined && options.pieces !== null
+            && !normalizePieceSequences(options.pieces, options.numPlayers))
+        || (options.objective !== undefined && options.objective !== null && typeof options.objective !== 'object')) {
+        return 'invalid';
+    }
+
+    const inputs = data.inputs;
+    if (!isCount(data.frames, 0, Number.MAX_SAFE_INTEGER) || !Array.isArray(inputs) || inputs.length % 3 !== 0) {
+        return 'invalid';
+    }
+    let frame = 0;
+    for (let i = 0; i < inputs.length; i += 3) {
+        frame += inputs[i];
+        if (!isCount(inputs[i], 0, data.frames) || frame > data.frames
+            || !isCount(inputs[i + 1], 0, options.numPlayers - 1)
+            || !isCount(inputs[i + 2], 0, REPLAY_INPUT_CODES.length - 1)) {
+            return 'invalid';
+        }
+    }
+
+    if (data.meta !== undefined && (!data.meta || typeof data.meta !== 'object')) {
+        return 'invalid';
+    }
+    return null;
+}
+
+// Turns a file that passed validateReplayFile back into a replay for ReplayPlayer
+function decodeReplay(data) {
+    const inputs = [];
+    let frame = 0;
+    for (let i = 0; i < data.inputs.length; i += 3) {
+        frame += data.inputs[i];
+        const [action, value] = REPLAY_INPUT_CODES[data.inputs[i + 2]].split(':');
+        inputs.push([frame, data.inputs[i + 1], action, value === undefined ? null : Number(value)]);
+    }
+
+    return {
+        version: data.version,
+        options: { ...data.options },
+        frames: data.frames,
+        inputs,
+        meta: { ...(data.meta || {}) }
+    };
+}
+
+// Returns null for a playable puzzle file, otherwise 'format', 'old-version', 'new-version' or 'invalid' like validateReplayFile
+function validatePuzzle(data) {
+    if (!data || typeof data !== 'object' || data.format !== PUZZLE_FORMAT || !Number.isInteger(data.version)) {
+        return 'format';
+    }
+    if (data.version < PUZZLE_VERSION) return 'old-version';
+    if (data.version > PUZZLE_VERSION) return 'new-version';
+
+    // The player count shapes the row pattern below, so it is checked first
+    const players = data.players === undefined ? 1 : data.players;
+    if (!Number.isInteger(players) || players < 1 || players > MAX_PUZZLE_PLAYERS) {
+        return 'invalid';
+    }
+
+    const width = computeBoardWidth(players);
+    const objective = data.objective;
+    const rowPattern = new RegExp(`^[.X1-${players}]{${width}}$`);
+    if (typeof data.name !== 'string' || !data.name.trim()
+        || (data.id !== undefined && typeof data.id !== 'string')
+        || (data.description !== undefined && typeof data.description !== 'string')
+        || !Array.isArray(data.board) || data.board.length > BOARD_HEIGHT
+        || !data.board.every(row => typeof row === 'string' && rowPattern.test(row))
+        || !Array.isArray(data.pieces) || data.pieces.length !== players
+        || !data.pieces.every(pieces => typeof pieces === 'string' && pieces.length > 0 && pieces.length <= MAX_PUZZLE_PIECES
+            && Array.from(pieces).every(type => SHAPE_KEYS.includes(type)))
+        || !objective || typeof objective !== 'object' || !PUZZLE_OBJECTIVES.includes(objective.type)
+        || (objective.lines !== undefined && !(Number.isInteger(objective.lines) && objective.lines > 0))) {
+        return 'invalid';
+    }
+    return null;
+}
+
+// Engine options for a puzzle that passed validatePuzzle; its rows sit at the bottom of the board
+function getPuzzleOptions(puzzle) {
+    const numPlayers = puzzle.players || 1;
+    const width = computeBoardWidth(numPlayers);
+    const board = createEmptyBoard(width, BOARD_HEIGHT);
+    const offset = BOARD_HEIGHT - puzzle.board.length;
+    puzzle.board.forEach((row, y) => {
+        board[offset + y] = Array.from(row, cell => (cell === '.' ? 0 : cell === 'X' ? GARBAGE_CELL : Number(cell)));
+    });
+
+    return {
+        numPlayers,
+        mode: 'coop',
+        boardWidth: width,
+        boardHeight: BOARD_HEIGHT,
+        board,
+        pieces: puzzle.pieces.slice(),
+        goal: 'puzzle',
+        objective: normalizeObjective(puzzle.objective)
+    };
+}
+
+// Puzzle file rows for a board: every row from the highest filled one down
+function encodePuzzleBoard(board) {
+    const top = board.findIndex(row => row.some(cell => cell !== 0));
+    if (top === -1) return [];
+    return board.slice(top).map(row => row.map(cell => (cell === 0 ? '.' : cell === GARBAGE_CELL ? 'X' : String(cell))).join(''));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BASE_BOARD_WIDTH,
+        BOARD_HEIGHT,
+        ADDITIONAL_COLUMNS_PER_PLAYER,
+        MIN_BOARD_HEIGHT,
+        MAX_BOARD_HEIGHT,
+        MAX_COLUMNS_PER_PLAYER,
+        BASE_LINE_SCORE,
+        STREAK_BONUS_STEP,
+        MULTI_LINE_BONUS_STEP,
+        FRAME_DURATION,
+        GAME_MODES,
+        DEFAULT_MODE,
+        GARBAGE_CELL,
+        ATTACK_TABLES,
+        DEFAULT_ATTACK_TABLE,
+        GOALS,
+        SPRINT_LINE_OPTIONS,
+        DEFAULT_SPRINT_LINES,
+        ULTRA_DURATION,
+        SPRINT_SPLIT_LINES,
+        ULTRA_SPLIT_TIME,
+        PUZZLE_OBJECTIVES,
+        PUZZLE_FORMAT,
+        PUZZLE_VERSION,
+        SCORING_MODELS,
+        DEFAULT_SCORING,
+        COMBO_SCORE,
+        DEFAULT_LOCK_DELAY,
+        MAX_LOCK_DELAY,
+        DEFAULT_MOVE_RESET_LIMIT,
+        NEXT_QUEUE_LENGTH,
+        GRAVITY_CURVES,
+        DEFAULT_GRAVITY,
+        MAX_START_LEVEL,
+        TWENTY_G_LEVEL,
+        SHAPES,
+        RANDOMIZERS,
+        DEFAULT_RANDOMIZER,
+        INPUT_ACTIONS,
+        TEAM_SCORE_TEMPLATE,
+        PLAYER_STATS_TEMPLATE,
+        getDropInterval,
+        normalizeGravityTable,
+        normalizeAttackTable,
+        computeBoardWidth,
+        createEmptyBoard,
+        normalizeBoard,
+        normalizePieceSequences,
+        normalizeObjective,
+        rotateMatrix,
+        getKicks,
+        trimShape,
+        normalizeSeed,
+        generateSeed,
+        createRandom,
+        createRandomizer,
+        createSequence,
+        REPLAY_VERSION,
+        REPLAY_FORMAT,
+        REPLAY_INPUT_CODES,
+        EventEmitter,
+        BOT_DIFFICULTIES,
+        DEFAULT_BOT_DIFFICULTY,
+        Player,
+        GameEngine,
+        Bot,
+        ReplayRecorder,
+        ReplayPlayer,
+        encodeReplay,
+        validateReplayFile,
+        decodeReplay,
+        validatePuzzle,
+        getPuzzleOptions,
+        encodePuzzleBoard
+    };
+}
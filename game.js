@@ -10,6 +10,117 @@ const TRANSLATIONS = {
         playSolo: "Play solo",
         playTogether: "Play together",
         playOverNetwork: "Play over network",
+        sprint: "Sprint",
+        sprintDesc: "Clear the lines, fast",
+        ultra: "Ultra",
+        ultraDesc: "Top score in 2 minutes",
+        sprintLinesLabel: "Sprint length (lines):",
+        time: "Time",
+        timeLeft: "Time left",
+        finished: "Finished!",
+        sprintFailed: "Topped out before the finish",
+        personalBest: "Personal best",
+        newPersonalBest: "New personal best!",
+        noPersonalBest: "No personal best yet",
+        splits: "Splits",
+        leaderboard: "Leaderboard",
+        marathon: "Marathon",
+        versus: "Versus",
+        allModes: "All modes",
+        anyPlayerCount: "Any",
+        exportJson: "Export JSON",
+        importJson: "Import JSON",
+        leaderboardEmpty: "No games recorded yet",
+        leaderboardImported: "Entries imported:",
+        leaderboardImportFailed: "This file is not a Blockies leaderboard",
+        rankColumn: "#",
+        scoreColumn: "Score",
+        linesColumn: "Lines",
+        levelColumn: "Level",
+        timeColumn: "Time",
+        dateColumn: "Date",
+        teamColumn: "Team",
+        replays: "Replays",
+        replaysEmpty: "No replays saved yet",
+        watchReplay: "Watch Replay",
+        deleteReplay: "Delete",
+        exitReplay: "Exit Replay",
+        replayStepBack: "Previous frame",
+        replayStepForward: "Next frame",
+        replayPlayPause: "Play/Pause",
+        replayTag: "Replay",
+        exportReplay: "Export",
+        exportReplayFile: "Export Replay",
+        importReplay: "Import Replay",
+        dropReplayHint: "Drop a replay file here to watch it",
+        replayImportFailed: "Can't open this replay",
+        replayErrorFormat: "This file is not a Blockies replay.",
+        replayErrorOldVersion: "This replay was recorded by an older version of Blockies and can't be played back in this one.",
+        replayErrorNewVersion: "This replay was recorded by a newer version of Blockies. Update the game to watch it.",
+        replayErrorInvalid: "This replay file is damaged.",
+        puzzles: "Puzzles",
+        puzzlesDesc: "Solve board challenges",
+        puzzle: "Puzzle",
+        puzzleColumn: "Puzzle",
+        objectiveColumn: "Goal",
+        playersColumn: "Players",
+        progressColumn: "Progress",
+        playPuzzle: "Play",
+        exportPuzzle: "Export",
+        deletePuzzle: "Delete",
+        importPuzzle: "Import Puzzle",
+        puzzlesSolved: "Solved",
+        puzzleSolved: "Solved!",
+        puzzleFailed: "Not solved",
+        puzzleOutOfPieces: "Out of pieces",
+        puzzleNotTried: "Not tried yet",
+        puzzleAttempts: "attempts",
+        puzzleBest: "Best",
+        piecesLeft: "pieces left",
+        objectiveClear: "Clear the whole board",
+        objectiveLines: "Lines to clear",
+        objectiveTSpin: "T-spin clearing lines",
+        puzzleImportFailed: "Can't open this puzzle",
+        puzzleImported: "Puzzle added:",
+        puzzleErrorFormat: "This file is not a Blockies puzzle.",
+        puzzleErrorOldVersion: "This puzzle was made for an older version of Blockies.",
+        puzzleErrorNewVersion: "This puzzle was made for a newer version of Blockies. Update the game to play it.",
+        puzzleErrorInvalid: "This puzzle file is damaged.",
+        puzzleFirstLine: "First Line",
+        puzzleFirstLineDesc: "Drop the I piece into the gap.",
+        puzzleTwinGaps: "Twin Gaps",
+        puzzleTwinGapsDesc: "Two O pieces, two gaps, two lines.",
+        puzzleTetris: "Tetris",
+        puzzleTetrisDesc: "Clear four lines at once with a single I piece.",
+        puzzlePerfectClear: "Perfect Clear",
+        puzzlePerfectClearDesc: "Place all three pieces so nothing is left on the board.",
+        puzzleTSpinDouble: "T-Spin Double",
+        puzzleTSpinDoubleDesc: "Rotate the T into the slot under the overhang.",
+        puzzleTeamTetris: "Team Tetris",
+        puzzleTeamTetrisDesc: "Two players, two wells: the lines only clear once both I pieces are in.",
+        editor: "Editor",
+        editorTitle: "Board Editor",
+        editPuzzle: "Edit",
+        editorPaint: "Paint",
+        editorErase: "Erase",
+        editorGarbage: "Grey",
+        editorPaintHint: "Click or drag to paint, right-click to erase",
+        editorName: "Name",
+        editorDescription: "Description",
+        editorUntitled: "My puzzle",
+        editorPieces: "Pieces",
+        editorPiecesHint: "Piece letters in order (I O T S Z J L). Leave every queue empty to play the board with random pieces.",
+        editorLines: "Lines",
+        objectiveTypeClear: "Clear the board",
+        objectiveTypeLines: "Clear lines",
+        objectiveTypeTSpin: "T-spin",
+        editorClear: "Clear Board",
+        editorPlay: "Play",
+        editorSave: "Save Puzzle",
+        editorSaved: "Puzzle saved:",
+        editorExport: "Export JSON",
+        editorLoad: "Load Puzzle",
+        editorPiecesMissing: "Give every player at least one piece, or leave every queue empty.",
         
         // Settings
         settings: "Settings",
@@ -36,6 +147,98 @@ const TRANSLATIONS = {
         gamepadConflictMsg: "Each gamepad can only be assigned to one player.",
         networkError: "Network Error",
         
+        // Rules
+        gameRules: "Game Rules",
+        mode: "Mode",
+        modeLabel: "Game mode:",
+        modeCoop: "Co-op (shared board)",
+        modeVersus: "Versus (own boards, garbage attacks)",
+        controlledBy: "Controlled by",
+        human: "Human",
+        botEasy: "CPU – Easy",
+        botMedium: "CPU – Medium",
+        botHard: "CPU – Hard",
+        cpu: "CPU",
+        addBot: "Add CPU player",
+        removeBot: "Remove",
+        join: "Join",
+        spectate: "Watch",
+        spectators: "Spectators",
+        watching: "watching",
+        inGame: "in game",
+        spectating: "👁 Spectating",
+        spectatorStatus: "You are watching this room",
+        gameInProgress: "Game in progress",
+        connectionLost: "Connection lost",
+        reconnectingMessage: "Reconnecting… Your seat is held for 30 seconds and a CPU plays for you meanwhile.",
+        reconnected: "Reconnected",
+        rejoinedRoom: "You're back in the room.",
+        seatLost: "Your seat in the room was given up.",
+        playerReconnecting: "Reconnecting…",
+        roomPublic: "Public (listed)",
+        roomPrivate: "Private (invite code only)",
+        roomPasswordPlaceholder: "Password (optional)",
+        inviteCodePlaceholder: "Invite code",
+        joinWithCode: "Join with code",
+        inviteCode: "Invite code:",
+        copyInviteLink: "Copy invite link",
+        inviteLinkCopied: "Invite link copied",
+        privateRoom: "🔒 Private",
+        passwordRoom: "🔑 Password",
+        enterRoomPassword: "This room needs a password:",
+        wrongRoomPassword: "Wrong password, try again:",
+        maxPlayers: "Max players",
+        boardHeight: "Board height",
+        columnsPerPlayer: "Extra columns per player",
+        host: "Host",
+        kick: "Kick",
+        makeHost: "Make host",
+        lockRoom: "🔒 Lock room",
+        unlockRoom: "🔓 Unlock room",
+        roomLocked: "locked",
+        forceStart: "▶ Start now",
+        kickedTitle: "Removed from room",
+        kickedMessage: "The host removed you from the room.",
+        attackTable: "Versus garbage",
+        attackTableLabel: "Versus garbage:",
+        attackTableGuideline: "Guideline (T-spins, combos, back-to-back)",
+        attackTableClassic: "Classic (lines only)",
+        seed: "Seed",
+        randomSeed: "Random",
+        gameSeed: "Game seed:",
+        randomizer: "Randomizer",
+        randomizerLabel: "Randomizer:",
+        previewCountLabel: "Next pieces shown:",
+        lockDelay: "Lock delay",
+        lockDelayLabel: "Lock delay:",
+        lockDelayOff: "Off (lock on touch)",
+        gravity: "Gravity",
+        gravityLabel: "Gravity curve:",
+        gravityGuideline: "Guideline (20G from level 20)",
+        gravityNes: "Classic (NES)",
+        gravityCustom: "Custom",
+        customGravityLabel: "Custom gravity, ms per row for level 1, 2, 3… (0 = 20G):",
+        startLevel: "Start level",
+        startLevelLabel: "Start level:",
+        level: "Level",
+        scoring: "Scoring",
+        scoringLabel: "Scoring:",
+        scoringTeam: "Team (streak and multi-line bonus)",
+        scoringGuideline: "Guideline (T-spins, back-to-back, drops)",
+        tSpin: "T-spin",
+        tSpinMini: "Mini T-spin",
+        backToBack: "Back-to-back",
+        perfectClear: "Perfect clear",
+        comboPoints: "Combo",
+        showGhost: "Show ghost piece (landing shadow)",
+        ghostOpacity: "Ghost opacity:",
+        randomizerBag7: "7-bag (per player)",
+        randomizerBag7Shared: "7-bag (shared by team)",
+        randomizerBag14: "14-bag",
+        randomizerNes: "Classic (NES retry)",
+        randomizerRandom: "Pure random",
+        roomSettings: "Room Settings",
+        
         // Game
         pause: "Pause",
         menu: "Menu",
@@ -52,6 +255,19 @@ const TRANSLATIONS = {
         streak: "streak",
         inPlay: "In play",
         out: "Out",
+        statPieces: "pieces",
+        statLines: "lines",
+        statCells: "cells cleared",
+        statPoints: "pts",
+        statDropPoints: "drop pts",
+        statHoles: "holes",
+        statApm: "APM",
+        topContributor: "Top contributor",
+        statAttack: "garbage sent",
+        statGarbage: "garbage received",
+        winner: "Winner",
+        wins: "wins!",
+        noWinner: "Nobody survived",
         lineBreak: "Line break",
         doubleBreak: "Double break",
         tripleBreak: "Triple break",
@@ -108,6 +324,10 @@ const TRANSLATIONS = {
         right: "Right",
         down: "Down",
         rotate: "Rotate",
+        rotateCCW: "Rotate ↺",
+        rotate180: "Rotate 180°",
+        hold: "Hold",
+        next: "Next",
         drop: "Drop",
         
         // Generic
@@ -123,6 +343,117 @@ const TRANSLATIONS = {
         playSolo: "Играть в одиночку",
         playTogether: "Играть вместе",
         playOverNetwork: "Играть по сети",
+        sprint: "Спринт",
+        sprintDesc: "Очистите линии как можно быстрее",
+        ultra: "Ультра",
+        ultraDesc: "Максимум очков за 2 минуты",
+        sprintLinesLabel: "Длина спринта (линий):",
+        time: "Время",
+        timeLeft: "Осталось",
+        finished: "Финиш!",
+        sprintFailed: "Поле заполнилось до финиша",
+        personalBest: "Личный рекорд",
+        newPersonalBest: "Новый личный рекорд!",
+        noPersonalBest: "Личного рекорда пока нет",
+        splits: "Отрезки",
+        leaderboard: "Таблица рекордов",
+        marathon: "Марафон",
+        versus: "Противостояние",
+        allModes: "Все режимы",
+        anyPlayerCount: "Любое",
+        exportJson: "Экспорт JSON",
+        importJson: "Импорт JSON",
+        leaderboardEmpty: "Пока нет сыгранных игр",
+        leaderboardImported: "Импортировано записей:",
+        leaderboardImportFailed: "Этот файл не похож на таблицу рекордов Blockies",
+        rankColumn: "#",
+        scoreColumn: "Очки",
+        linesColumn: "Линии",
+        levelColumn: "Уровень",
+        timeColumn: "Время",
+        dateColumn: "Дата",
+        teamColumn: "Команда",
+        replays: "Повторы",
+        replaysEmpty: "Сохранённых повторов пока нет",
+        watchReplay: "Смотреть повтор",
+        deleteReplay: "Удалить",
+        exitReplay: "Выйти из повтора",
+        replayStepBack: "Предыдущий кадр",
+        replayStepForward: "Следующий кадр",
+        replayPlayPause: "Пуск/Пауза",
+        replayTag: "Повтор",
+        exportReplay: "Экспорт",
+        exportReplayFile: "Экспорт повтора",
+        importReplay: "Импорт повтора",
+        dropReplayHint: "Перетащите сюда файл повтора, чтобы посмотреть его",
+        replayImportFailed: "Не удалось открыть повтор",
+        replayErrorFormat: "Этот файл не похож на повтор Blockies.",
+        replayErrorOldVersion: "Этот повтор записан старой версией Blockies и не может быть воспроизведён в этой.",
+        replayErrorNewVersion: "Этот повтор записан более новой версией Blockies. Обновите игру, чтобы посмотреть его.",
+        replayErrorInvalid: "Файл повтора повреждён.",
+        puzzles: "Головоломки",
+        puzzlesDesc: "Задачи на готовом поле",
+        puzzle: "Головоломка",
+        puzzleColumn: "Головоломка",
+        objectiveColumn: "Цель",
+        playersColumn: "Игроки",
+        progressColumn: "Прогресс",
+        playPuzzle: "Играть",
+        exportPuzzle: "Экспорт",
+        deletePuzzle: "Удалить",
+        importPuzzle: "Импорт головоломки",
+        puzzlesSolved: "Решено",
+        puzzleSolved: "Решено!",
+        puzzleFailed: "Не решено",
+        puzzleOutOfPieces: "Фигуры закончились",
+        puzzleNotTried: "Ещё не пробовали",
+        puzzleAttempts: "попыток",
+        puzzleBest: "Лучший результат",
+        piecesLeft: "фигур осталось",
+        objectiveClear: "Очистите всё поле",
+        objectiveLines: "Очистить линий",
+        objectiveTSpin: "T-спин, очистив линий",
+        puzzleImportFailed: "Не удалось открыть головоломку",
+        puzzleImported: "Головоломка добавлена:",
+        puzzleErrorFormat: "Этот файл не похож на головоломку Blockies.",
+        puzzleErrorOldVersion: "Эта головоломка сделана для старой версии Blockies.",
+        puzzleErrorNewVersion: "Эта головоломка сделана для более новой версии Blockies. Обновите игру, чтобы сыграть в неё.",
+        puzzleErrorInvalid: "Файл головоломки повреждён.",
+        puzzleFirstLine: "Первая линия",
+        puzzleFirstLineDesc: "Опустите фигуру I в просвет.",
+        puzzleTwinGaps: "Два просвета",
+        puzzleTwinGapsDesc: "Две фигуры O, два просвета, две линии.",
+        puzzleTetris: "Тетрис",
+        puzzleTetrisDesc: "Очистите четыре линии разом одной фигурой I.",
+        puzzlePerfectClear: "Чистое поле",
+        puzzlePerfectClearDesc: "Поставьте все три фигуры так, чтобы на поле ничего не осталось.",
+        puzzleTSpinDouble: "T-спин дабл",
+        puzzleTSpinDoubleDesc: "Поверните T в щель под навесом.",
+        puzzleTeamTetris: "Командный тетрис",
+        puzzleTeamTetrisDesc: "Два игрока, два колодца: линии очистятся, только когда обе фигуры I на месте.",
+        editor: "Редактор",
+        editorTitle: "Редактор поля",
+        editPuzzle: "Изменить",
+        editorPaint: "Кисть",
+        editorErase: "Стереть",
+        editorGarbage: "Серый",
+        editorPaintHint: "Щёлкните или проведите, чтобы рисовать; правая кнопка стирает",
+        editorName: "Название",
+        editorDescription: "Описание",
+        editorUntitled: "Моя головоломка",
+        editorPieces: "Фигуры",
+        editorPiecesHint: "Буквы фигур по порядку (I O T S Z J L). Оставьте все очереди пустыми, чтобы играть на этом поле со случайными фигурами.",
+        editorLines: "Линии",
+        objectiveTypeClear: "Очистить поле",
+        objectiveTypeLines: "Очистить линии",
+        objectiveTypeTSpin: "T-спин",
+        editorClear: "Очистить поле",
+        editorPlay: "Играть",
+        editorSave: "Сохранить головоломку",
+        editorSaved: "Головоломка сохранена:",
+        editorExport: "Экспорт JSON",
+        editorLoad: "Загрузить головоломку",
+        editorPiecesMissing: "Дайте каждому игроку хотя бы одну фигуру или оставьте все очереди пустыми.",
         
         // Settings
         settings: "Настройки",
@@ -149,6 +480,98 @@ const TRANSLATIONS = {
         gamepadConflictMsg: "Каждый геймпад может быть назначен только одному игроку.",
         networkError: "Ошибка сети",
         
+        // Rules
+        gameRules: "Правила игры",
+        mode: "Режим",
+        modeLabel: "Режим игры:",
+        modeCoop: "Кооператив (общее поле)",
+        modeVersus: "Противостояние (свои поля, атаки мусором)",
+        controlledBy: "Управляет",
+        human: "Человек",
+        botEasy: "Компьютер – лёгкий",
+        botMedium: "Компьютер – средний",
+        botHard: "Компьютер – сложный",
+        cpu: "Компьютер",
+        addBot: "Добавить компьютер",
+        removeBot: "Убрать",
+        join: "Войти",
+        spectate: "Смотреть",
+        spectators: "Зрители",
+        watching: "смотрят",
+        inGame: "идёт игра",
+        spectating: "👁 Просмотр",
+        spectatorStatus: "Вы смотрите эту комнату",
+        gameInProgress: "Идёт игра",
+        connectionLost: "Соединение потеряно",
+        reconnectingMessage: "Переподключение… Ваше место держится 30 секунд, пока за вас играет компьютер.",
+        reconnected: "Соединение восстановлено",
+        rejoinedRoom: "Вы снова в комнате.",
+        seatLost: "Ваше место в комнате освободилось.",
+        playerReconnecting: "Переподключается…",
+        roomPublic: "Открытая (в списке)",
+        roomPrivate: "Закрытая (только по коду)",
+        roomPasswordPlaceholder: "Пароль (необязательно)",
+        inviteCodePlaceholder: "Код приглашения",
+        joinWithCode: "Войти по коду",
+        inviteCode: "Код приглашения:",
+        copyInviteLink: "Скопировать ссылку",
+        inviteLinkCopied: "Ссылка скопирована",
+        privateRoom: "🔒 Закрытая",
+        passwordRoom: "🔑 С паролем",
+        enterRoomPassword: "Для этой комнаты нужен пароль:",
+        wrongRoomPassword: "Неверный пароль, попробуйте ещё раз:",
+        maxPlayers: "Макс. игроков",
+        boardHeight: "Высота поля",
+        columnsPerPlayer: "Доп. столбцы на игрока",
+        host: "Хозяин",
+        kick: "Выгнать",
+        makeHost: "Сделать хозяином",
+        lockRoom: "🔒 Закрыть вход",
+        unlockRoom: "🔓 Открыть вход",
+        roomLocked: "вход закрыт",
+        forceStart: "▶ Начать сейчас",
+        kickedTitle: "Вы удалены из комнаты",
+        kickedMessage: "Хозяин комнаты удалил вас из неё.",
+        attackTable: "Мусор в противостоянии",
+        attackTableLabel: "Мусор в противостоянии:",
+        attackTableGuideline: "Стандартный (T-спины, комбо, back-to-back)",
+        attackTableClassic: "Классический (только линии)",
+        seed: "Сид",
+        randomSeed: "Случайный",
+        gameSeed: "Сид игры:",
+        randomizer: "Генератор фигур",
+        previewCountLabel: "Показывать следующих фигур:",
+        lockDelay: "Задержка фиксации",
+        lockDelayLabel: "Задержка фиксации:",
+        lockDelayOff: "Нет (фиксация сразу)",
+        gravity: "Гравитация",
+        gravityLabel: "Кривая гравитации:",
+        gravityGuideline: "Стандартная (20G с 20 уровня)",
+        gravityNes: "Классическая (NES)",
+        gravityCustom: "Своя",
+        customGravityLabel: "Своя гравитация, мс на строку для уровней 1, 2, 3… (0 = 20G):",
+        startLevel: "Начальный уровень",
+        startLevelLabel: "Начальный уровень:",
+        level: "Уровень",
+        scoring: "Подсчёт очков",
+        scoringLabel: "Подсчёт очков:",
+        scoringTeam: "Командный (серии и мульти-бонус)",
+        scoringGuideline: "Стандартный (T-спины, back-to-back, сброс)",
+        tSpin: "T-спин",
+        tSpinMini: "Мини T-спин",
+        backToBack: "Back-to-back",
+        perfectClear: "Полная очистка",
+        comboPoints: "Комбо",
+        showGhost: "Показывать тень фигуры (место падения)",
+        ghostOpacity: "Прозрачность тени:",
+        randomizerLabel: "Генератор фигур:",
+        randomizerBag7: "7-мешок (у каждого свой)",
+        randomizerBag7Shared: "7-мешок (общий на команду)",
+        randomizerBag14: "14-мешок",
+        randomizerNes: "Классический (NES)",
+        randomizerRandom: "Полностью случайный",
+        roomSettings: "Настройки комнаты",
+        
         // Game
         pause: "Пауза",
         menu: "Меню",
@@ -165,6 +588,19 @@ const TRANSLATIONS = {
         streak: "серия",
         inPlay: "В игре",
         out: "Выбыл",
+        statPieces: "фигур",
+        statLines: "линий",
+        statCells: "клеток очищено",
+        statPoints: "очк",
+        statDropPoints: "очк за сброс",
+        statHoles: "дыр",
+        statApm: "действ./мин",
+        topContributor: "Главный вклад",
+        statAttack: "мусора отправлено",
+        statGarbage: "мусора получено",
+        winner: "Победитель",
+        wins: "побеждает!",
+        noWinner: "Никто не выжил",
         lineBreak: "Линия",
         doubleBreak: "Двойная",
         tripleBreak: "Тройная",
@@ -221,6 +657,10 @@ const TRANSLATIONS = {
         right: "Вправо",
         down: "Вниз",
         rotate: "Повернуть",
+        rotateCCW: "Повернуть ↺",
+        rotate180: "Повернуть на 180°",
+        hold: "Запас",
+        next: "Далее",
         drop: "Сбросить",
         
         // Generic
@@ -253,6 +693,10 @@ function updateUILanguage() {
         const key = el.getAttribute('data-i18n-placeholder');
         el.placeholder = t(key);
     });
+
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.getAttribute('data-i18n-title'));
+    });
     
     // Update combo tooltip if UI manager exists
     if (window.uiManager && window.uiManager.updateComboTooltip) {
@@ -260,16 +704,121 @@ function updateUILanguage() {
     }
 }
 
-// Game Configuration
+// Rendering Configuration (board and rule constants live in engine.js)
 const BLOCK_SIZE = 25;
-const BASE_BOARD_WIDTH = 10;
-const BOARD_HEIGHT = 20;
-const ADDITIONAL_COLUMNS_PER_PLAYER = 4;
 const PREVIEW_SIZE = 4;
-
-const BASE_LINE_SCORE = 100;
-const STREAK_BONUS_STEP = 0.1;
-const MULTI_LINE_BONUS_STEP = 0.2;
+const QUEUED_BLOCK_SIZE = 15; // Pieces after the next one are drawn smaller
+const GARBAGE_COLOR = '#6c6880';
+const PERSONAL_BESTS_KEY = 'blockies-personal-bests';
+const LEADERBOARD_KEY = 'blockies-leaderboard';
+const LEADERBOARD_VERSION = 1; // Written into exported files
+const MAX_LEADERBOARD_ENTRIES = 50; // Kept per mode and player count
+const PUZZLE_PROGRESS_KEY = 'blockies-puzzle-progress';
+const CUSTOM_PUZZLES_KEY = 'blockies-puzzles'; // Imported puzzles
+// Built-in puzzles in the puzzle file format (see validatePuzzle in engine.js); `text` is the translation key of the name,
+// with `Desc` appended for the description
+const BUILT_IN_PUZZLES = [
+    {
+        id: 'first-line',
+        text: 'puzzleFirstLine',
+        board: ['XXX....XXX'],
+        pieces: ['I'],
+        objective: { type: 'lines', lines: 1 }
+    },
+    {
+        id: 'twin-gaps',
+        text: 'puzzleTwinGaps',
+        board: ['X..XXXX..X', 'X..XXXX..X'],
+        pieces: ['OO'],
+        objective: { type: 'lines', lines: 2 }
+    },
+    {
+        id: 'tetris',
+        text: 'puzzleTetris',
+        board: ['XXXXX.XXXX', 'XXXXX.XXXX', 'XXXXX.XXXX', 'XXXXX.XXXX'],
+        pieces: ['I'],
+        objective: { type: 'lines', lines: 4 }
+    },
+    {
+        id: 'perfect-clear',
+        text: 'puzzlePerfectClear',
+        board: ['XXXX......', 'XXXX......'],
+        pieces: ['JLI'],
+        objective: { type: 'clear' }
+    },
+    {
+        id: 'tspin-double',
+        text: 'puzzleTSpinDouble',
+        board: ['XXXX......', 'XXX...XXXX', 'XXXX.XXXXX'],
+        pieces: ['T'],
+        objective: { type: 'tspin', lines: 2 }
+    },
+    {
+        id: 'team-tetris',
+        text: 'puzzleTeamTetris',
+        players: 2,
+        board: ['XXX.XXXXXX.XXX', 'XXX.XXXXXX.XXX', 'XXX.XXXXXX.XXX', 'XXX.XXXXXX.XXX'],
+        pieces: ['I', 'I'],
+        objective: { type: 'lines', lines: 4 }
+    }
+];
+// Translation keys for the objective types in the editor
+const OBJECTIVE_TYPE_LABELS = {
+    clear: 'objectiveTypeClear',
+    lines: 'objectiveTypeLines',
+    tspin: 'objectiveTypeTSpin'
+};
+// Translation keys for the reasons validatePuzzle (engine.js) gives
+const PUZZLE_ERROR_LABELS = {
+    format: 'puzzleErrorFormat',
+    'old-version': 'puzzleErrorOldVersion',
+    'new-version': 'puzzleErrorNewVersion',
+    invalid: 'puzzleErrorInvalid'
+};
+const REPLAYS_KEY = 'blockies-replays';
+const MAX_SAVED_REPLAYS = 10; // Newest first; older ones are dropped
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+// Translation keys for the reasons validateReplayFile (engine.js) gives
+const REPLAY_ERROR_LABELS = {
+    format: 'replayErrorFormat',
+    'old-version': 'replayErrorOldVersion',
+    'new-version': 'replayErrorNewVersion',
+    invalid: 'replayErrorInvalid'
+};
+const MAX_REPLAY_FRAMES_PER_UPDATE = 240; // Keeps fast playback from stalling a slow browser
+const VERSUS_BOARD_EXTRA_WIDTH = 40; // Garbage meter and spacing beside each versus board, in pixels
+const DEFAULT_PREVIEW_COUNT = 1;
+const DEFAULT_GHOST_OPACITY = 0.3;
+const MIN_GHOST_OPACITY = 0.1;
+const MAX_GHOST_OPACITY = 0.8;
+// Translation keys for the gravity curves defined in engine.js
+const GRAVITY_LABELS = {
+    guideline: 'gravityGuideline',
+    nes: 'gravityNes',
+    custom: 'gravityCustom'
+};
+// Translation keys for the game modes and attack tables defined in engine.js
+const MODE_LABELS = {
+    coop: 'modeCoop',
+    versus: 'modeVersus'
+};
+// Translation keys for the bot difficulties defined in engine.js
+const BOT_LABELS = {
+    easy: 'botEasy',
+    medium: 'botMedium',
+    hard: 'botHard'
+};
+const ATTACK_TABLE_LABELS = {
+    guideline: 'attackTableGuideline',
+    classic: 'attackTableClassic'
+};
+// Translation keys for the scoring models defined in engine.js
+const SCORING_LABELS = {
+    team: 'scoringTeam',
+    guideline: 'scoringGuideline'
+};
+const ROOM_GRAVITY_CURVES = ['guideline', 'nes']; // Custom tables stay local
+const LOCK_DELAY_OPTIONS = [0, 250, 500, 750, 1000]; // Milliseconds offered in the rule selectors
 
 // Sound Manager - simple Web Audio API sounds
 class SoundManager {
@@ -359,17 +908,6 @@ class SoundManager {
 
 const soundManager = new SoundManager();
 
-// Tetromino shapes
-const SHAPES = {
-    I: [[1, 1, 1, 1]],
-    O: [[1, 1], [1, 1]],
-    T: [[0, 1, 0], [1, 1, 1]],
-    S: [[0, 1, 1], [1, 1, 0]],
-    Z: [[1, 1, 0], [0, 1, 1]],
-    J: [[1, 0, 0], [1, 1, 1]],
-    L: [[0, 0, 1], [1, 1, 1]]
-};
-
 // Default colors for players - Retro-futurism palette
 const DEFAULT_COLORS = ['#FF1493', '#00D9FF', '#FFDB58', '#39FF14'];
 
@@ -409,55 +947,75 @@ function suggestBrighterColor(hexColor) {
     return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
 }
 
-// Default key bindings for players (keyboard layout agnostic using code values)
-const DEFAULT_KEYS = [
-    { left: 'ArrowLeft', right: 'ArrowRight', down: 'ArrowDown', rotate: 'ArrowUp', drop: 'Space' },
-    { left: 'KeyA', right: 'KeyD', down: 'KeyS', rotate: 'KeyW', drop: 'KeyQ' },
-    { left: 'KeyJ', right: 'KeyL', down: 'KeyK', rotate: 'KeyI', drop: 'KeyU' },
-    { left: 'KeyF', right: 'KeyH', down: 'KeyG', rotate: 'KeyT', drop: 'KeyR' }
-];
-
-const TEAM_SCORE_TEMPLATE = {
-    score: 0,
-    lines: 0,
-    level: 1,
-    comboChain: 0,
-    lastClearDetail: null
+// Translation keys for the randomizers defined in engine.js
+const RANDOMIZER_LABELS = {
+    bag7: 'randomizerBag7',
+    'bag7-shared': 'randomizerBag7Shared',
+    bag14: 'randomizerBag14',
+    nes: 'randomizerNes',
+    random: 'randomizerRandom'
 };
 
-function computeBoardWidth(numPlayers) {
-    const players = Math.max(1, numPlayers || 1);
-    return BASE_BOARD_WIDTH + (players - 1) * ADDITIONAL_COLUMNS_PER_PLAYER;
-}
-
-function getBoardWidth() {
-    return gameState.boardWidth || BASE_BOARD_WIDTH;
-}
+// Bindable actions, in the order they are shown in settings
+const KEY_ACTIONS = ['left', 'right', 'down', 'rotate', 'rotateCCW', 'rotate180', 'hold', 'drop'];
 
-function createEmptyBoard(width = getBoardWidth(), height = BOARD_HEIGHT) {
-    return Array.from({ length: height }, () => Array(width).fill(0));
-}
+// Default key bindings for players (keyboard layout agnostic using code values)
+const DEFAULT_KEYS = [
+    { left: 'ArrowLeft', right: 'ArrowRight', down: 'ArrowDown', rotate: 'ArrowUp', rotateCCW: 'ShiftRight', rotate180: 'ControlRight', hold: 'Enter', drop: 'Space' },
+    { left: 'KeyA', right: 'KeyD', down: 'KeyS', rotate: 'KeyW', rotateCCW: 'KeyE', rotate180: 'KeyZ', hold: 'KeyX', drop: 'KeyQ' },
+    { left: 'KeyJ', right: 'KeyL', down: 'KeyK', rotate: 'KeyI', rotateCCW: 'KeyO', rotate180: 'KeyM', hold: 'KeyN', drop: 'KeyU' },
+    { left: 'KeyF', right: 'KeyH', down: 'KeyG', rotate: 'KeyT', rotateCCW: 'KeyY', rotate180: 'KeyV', hold: 'KeyB', drop: 'KeyR' }
+];
 
 // Game State
 let gameState = {
-    players: [],
+    engine: null, // GameEngine for the running game (board, players and rules)
     numPlayers: 1,
-    board: [],
     lastTime: 0,
     isPaused: false,
-    isGameOver: false,
-    boardWidth: BASE_BOARD_WIDTH,
-    sharedStats: { ...TEAM_SCORE_TEMPLATE },
-    sharedStatsDirty: false,
     inputStates: new Map(),
     settings: {
         colors: [...DEFAULT_COLORS],
-        keys: JSON.parse(JSON.stringify(DEFAULT_KEYS))
+        keys: JSON.parse(JSON.stringify(DEFAULT_KEYS)),
+        seed: '', // Typed seed for local games; empty means a new random seed each game
+        mode: DEFAULT_MODE,
+        attackTable: DEFAULT_ATTACK_TABLE, // Preset name from ATTACK_TABLES
+        randomizer: DEFAULT_RANDOMIZER,
+        lockDelay: DEFAULT_LOCK_DELAY,
+        gravity: DEFAULT_GRAVITY,
+        gravityTable: null, // Milliseconds per row by level, used by the 'custom' curve
+        startLevel: 1,
+        scoring: DEFAULT_SCORING,
+        previewCount: DEFAULT_PREVIEW_COUNT, // Upcoming pieces shown per player, up to NEXT_QUEUE_LENGTH
+        sprintLines: DEFAULT_SPRINT_LINES, // One of SPRINT_LINE_OPTIONS
+        bots: [null, null, null, null], // Bot difficulty for each local co-op slot; null for a human
+        showGhost: true,
+        ghostOpacity: DEFAULT_GHOST_OPACITY
     },
     gamepads: {
         connected: [],
         assignments: {}, // gamepadIndex -> playerIndex
         buttonStates: new Map() // gamepadIndex -> button states
+    },
+
+    // Read-only views of the running engine so the UI can render without a game in progress
+    get players() {
+        return this.engine ? this.engine.players : [];
+    },
+    get board() {
+        return this.engine ? this.engine.board : [];
+    },
+    get boardWidth() {
+        return this.engine ? this.engine.boardWidth : BASE_BOARD_WIDTH;
+    },
+    get boardHeight() {
+        return this.engine ? this.engine.boardHeight : BOARD_HEIGHT;
+    },
+    get sharedStats() {
+        return this.engine ? this.engine.sharedStats : TEAM_SCORE_TEMPLATE;
+    },
+    get isGameOver() {
+        return this.engine ? this.engine.isGameOver : false;
     }
 };
 
@@ -468,6 +1026,9 @@ const GAMEPAD_BUTTON_MAP = {
     right: [15], // D-pad right
     down: [13], // D-pad down
     rotate: [0, 2], // A button (Xbox) or X button (PlayStation), X button (Xbox) or Square (PlayStation)
+    rotateCCW: [4], // Left bumper
+    rotate180: [5], // Right bumper
+    hold: [6, 7], // Left or right trigger
     drop: [1, 3] // B button (Xbox) or Circle (PlayStation), Y button (Xbox) or Triangle (PlayStation)
 };
 
@@ -491,18 +1052,35 @@ function scanGamepads() {
 }
 
 function createGamepadButtonState() {
-    return {
-        left: { pressed: false, wasPressed: false },
-        right: { pressed: false, wasPressed: false },
-        down: { pressed: false, wasPressed: false },
-        rotate: { pressed: false, wasPressed: false },
-        drop: { pressed: false, wasPressed: false }
-    };
+    const state = {};
+    Object.keys(GAMEPAD_BUTTON_MAP).forEach(action => {
+        state[action] = { pressed: false, wasPressed: false };
+    });
+    return state;
+}
+
+function normalizePreviewCount(value) {
+    const count = parseInt(value, 10);
+    if (!Number.isFinite(count)) return DEFAULT_PREVIEW_COUNT;
+    return Math.max(1, Math.min(NEXT_QUEUE_LENGTH, count));
+}
+
+function normalizeStartLevel(value) {
+    const level = parseInt(value, 10);
+    if (!Number.isFinite(level)) return 1;
+    return Math.max(1, Math.min(MAX_START_LEVEL, level));
+}
+
+// "1000, 800, 0" -> [1000, 800, 0]; null when nothing usable was typed
+function parseGravityTable(text) {
+    const values = String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+    return normalizeGravityTable(values);
 }
 
-function resetSharedStats() {
-    gameState.sharedStats = { ...TEAM_SCORE_TEMPLATE };
-    gameState.sharedStatsDirty = true;
+function normalizeGhostOpacity(value) {
+    const opacity = parseFloat(value);
+    if (!Number.isFinite(opacity)) return DEFAULT_GHOST_OPACITY;
+    return Math.max(MIN_GHOST_OPACITY, Math.min(MAX_GHOST_OPACITY, opacity));
 }
 
 function formatKeyLabel(code) {
@@ -571,331 +1149,276 @@ function formatNumber(value) {
     return Number(value || 0).toLocaleString('en-US');
 }
 
-function createActionState() {
-    return {
-        active: false,
-        heldTime: 0,
-        hasFiredInitial: false
-    };
+// Milliseconds as m:ss.mmm
+function formatTime(ms) {
+    const total = Math.max(0, Math.round(ms || 0));
+    const minutes = Math.floor(total / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
 }
 
-// Player Class
-class Player {
-    constructor(id, color, keys, spawnAnchor) {
-        this.id = id;
-        this.color = color;
-        this.keys = keys;
-        this.score = 0;
-        this.level = 1;
-        this.lines = 0;
-        this.currentPiece = null;
-        this.nextPiece = null;
-        this.position = { x: 0, y: 0 };
-        this.gameOver = false;
-        this.dropCounter = 0;
-        this.dropInterval = 1000;
-        this.lastTime = 0;
-        this.spawnAnchor = typeof spawnAnchor === 'number' ? spawnAnchor : getBoardWidth() / 2;
-    }
-
-    init() {
-        this.nextPiece = this.randomPiece();
-        this.spawnPiece();
-    }
-
-    randomPiece() {
-        const shapes = Object.keys(SHAPES);
-        const shape = shapes[Math.floor(Math.random() * shapes.length)];
-        return SHAPES[shape];
-    }
-
-    spawnPiece() {
-        this.currentPiece = this.nextPiece;
-        this.nextPiece = this.randomPiece();
-        const pieceWidth = this.currentPiece[0].length;
-        const boardWidth = getBoardWidth();
-        const preferredX = Math.min(
-            boardWidth - pieceWidth,
-            Math.max(0, Math.round(this.spawnAnchor - pieceWidth / 2))
-        );
-
-        let spawnPosition = null;
-        const checked = new Set();
-
-        for (let offset = 0; offset < boardWidth; offset++) {
-            const candidates = [];
-            if (offset === 0) {
-                candidates.push(preferredX);
-            } else {
-                const left = preferredX - offset;
-                const right = preferredX + offset;
-
-                if (left >= 0) candidates.push(left);
-                if (right <= boardWidth - pieceWidth) candidates.push(right);
-            }
-
-            for (const candidate of candidates) {
-                if (checked.has(candidate)) continue;
-                checked.add(candidate);
-
-                if (!this.checkCollision(this.currentPiece, { x: candidate, y: 0 }).collides) {
-                    spawnPosition = { x: candidate, y: 0 };
-                    break;
-                }
-            }
-
-            if (spawnPosition) break;
-        }
-
-        this.position = spawnPosition || { x: preferredX, y: 0 };
-
-        if (!spawnPosition && this.checkCollision().collides) {
-            this.gameOver = true;
-            checkAllPlayersGameOver();
-        }
-
-        this.dropCounter = 0;
+// Personal bests by goal: sprint times per length ('sprint-40') and the ultra score
+function loadPersonalBests() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(PERSONAL_BESTS_KEY));
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
     }
+}
 
-    checkCollision(piece = this.currentPiece, pos = this.position) {
-        const result = {
-            collides: false,
-            withLocked: false,
-            withActive: false
-        };
-
-        for (let y = 0; y < piece.length; y++) {
-            for (let x = 0; x < piece[y].length; x++) {
-                if (!piece[y][x]) continue;
-
-                const boardX = pos.x + x;
-                const boardY = pos.y + y;
-                const boardWidth = getBoardWidth();
+function getPersonalBestKey(engine) {
+    return engine.goal === 'sprint' ? `sprint-${engine.goalLines}` : engine.goal;
+}
 
-                if (boardX < 0 || boardX >= boardWidth || boardY >= BOARD_HEIGHT) {
-                    result.collides = true;
-                    result.withLocked = true;
-                    return result;
-                }
+// Stores the finished run if it beats the saved one; returns the previous best and whether it was beaten
+function savePersonalBest(engine) {
+    const bests = loadPersonalBests();
+    const key = getPersonalBestKey(engine);
+    const previous = bests[key] || null;
+    const run = {
+        time: engine.splits.length ? engine.splits[engine.splits.length - 1].time : engine.goalClock,
+        score: engine.sharedStats.score,
+        lines: engine.sharedStats.lines,
+        splits: engine.splits.map(split => ({ time: split.time, lines: split.lines, score: split.score })),
+        date: new Date().toISOString()
+    };
 
-                if (boardY < 0) continue;
+    const improved = !previous || (engine.goal === 'sprint'
+        ? run.time < previous.time
+        : run.score > previous.score);
+    if (improved) {
+        bests[key] = run;
+        localStorage.setItem(PERSONAL_BESTS_KEY, JSON.stringify(bests));
+    }
+    return { previous, improved };
+}
 
-                if (gameState.board[boardY][boardX]) {
-                    result.collides = true;
-                    result.withLocked = true;
-                    return result;
-                }
+// Leaderboard modes: 'marathon' (endless co-op), 'versus', 'ultra' and 'sprint-<lines>'
+function getLeaderboardMode(engine) {
+    if (engine.goal) return getPersonalBestKey(engine);
+    return engine.mode === 'versus' ? 'versus' : 'marathon';
+}
 
-                if (isCellOccupiedByOtherPiece(boardX, boardY, this.id)) {
-                    result.collides = true;
-                    result.withActive = true;
-                }
-            }
-        }
+function getLeaderboardModeLabel(mode) {
+    const sprint = /^sprint-(\d+)$/.exec(mode);
+    return sprint ? `${t('sprint')} ${sprint[1]}` : t(mode);
+}
 
-        return result;
+// Sprints rank by time, everything else by score, then lines
+function compareLeaderboardEntries(a, b) {
+    if (a.mode.startsWith('sprint-')) {
+        return a.duration - b.duration;
     }
+    return (b.score - a.score) || (b.lines - a.lines);
+}
 
-    move(dir) {
-        this.position.x += dir;
-        if (this.checkCollision().collides) {
-            this.position.x -= dir;
-        } else {
-            soundManager.move();
-            // Send online update if in online game
-            if (typeof networkManager !== 'undefined' && networkManager.connected) {
-                networkManager.sendPlayerInput({ action: 'move', direction: dir });
-            }
-        }
-    }
+// A checked copy of a stored or imported entry, or null when it is not usable
+function normalizeLeaderboardEntry(entry) {
+    if (!entry || typeof entry !== 'object') return null;
 
-    rotate() {
-        const rotated = this.currentPiece[0].map((_, i) =>
-            this.currentPiece.map(row => row[i]).reverse()
-        );
+    const isCount = value => Number.isFinite(value) && value >= 0;
+    const valid = typeof entry.mode === 'string' && /^(marathon|versus|ultra|sprint-\d+)$/.test(entry.mode) &&
+        Number.isInteger(entry.players) && entry.players >= 1 && entry.players <= 4 &&
+        isCount(entry.score) && isCount(entry.lines) && isCount(entry.level) && isCount(entry.duration) &&
+        typeof entry.date === 'string' && !Number.isNaN(Date.parse(entry.date)) &&
+        Array.isArray(entry.team);
+    if (!valid) return null;
 
-        if (!this.checkCollision(rotated).collides) {
-            this.currentPiece = rotated;
-            soundManager.rotate();
-            // Send online update if in online game
-            if (typeof networkManager !== 'undefined' && networkManager.connected) {
-                networkManager.sendPlayerInput({ action: 'rotate' });
-            }
-        }
-    }
+    return {
+        mode: entry.mode,
+        players: entry.players,
+        score: Math.floor(entry.score),
+        lines: Math.floor(entry.lines),
+        level: Math.floor(entry.level),
+        duration: entry.duration,
+        date: entry.date,
+        team: entry.team.slice(0, 4).map(member => ({
+            name: String(member && member.name ? member.name : '').slice(0, 20),
+            color: member && /^#[0-9a-fA-F]{6}$/.test(member.color) ? member.color : '#888888'
+        })),
+        winner: typeof entry.winner === 'string' ? entry.winner.slice(0, 20) : null,
+        seed: Number.isInteger(entry.seed) ? entry.seed : null
+    };
+}
 
-    drop() {
-        this.position.y++;
-        const collision = this.checkCollision();
-        if (collision.collides) {
-            this.position.y--;
-            if (collision.withLocked) {
-                this.merge();
-                soundManager.drop();
-                this.clearLines();
-                this.spawnPiece();
-            }
-        }
-        this.dropCounter = 0;
-        // Send online update if in online game
-        if (typeof networkManager !== 'undefined' && networkManager.connected) {
-            networkManager.sendPlayerInput({ action: 'drop' });
-        }
+function loadLeaderboard() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(LEADERBOARD_KEY));
+        return Array.isArray(parsed) ? parsed.map(normalizeLeaderboardEntry).filter(Boolean) : [];
+    } catch (error) {
+        return [];
     }
+}
 
-    hardDrop() {
-        let maxDrops = BOARD_HEIGHT; // Safety limit
-        let landedOnLocked = false;
-
-        while (maxDrops > 0) {
-            this.position.y++;
-            maxDrops--;
-
-            const collision = this.checkCollision();
-            if (!collision.collides) {
-                continue;
-            }
+// Adds entries (skipping ones already stored), keeps the best MAX_LEADERBOARD_ENTRIES per mode and
+// player count, and saves. Returns how many of the given entries were added and kept.
+function addLeaderboardEntries(entries) {
+    const board = loadLeaderboard();
+    const keyOf = entry => `${entry.date}|${entry.mode}|${entry.players}|${entry.score}`;
+    const known = new Set(board.map(keyOf));
+    const added = entries.filter(entry => {
+        const key = keyOf(entry);
+        if (known.has(key)) return false;
+        known.add(key);
+        return true;
+    });
 
-            if (collision.withLocked) {
-                landedOnLocked = true;
-            }
+    const buckets = new Map();
+    board.concat(added).forEach(entry => {
+        const bucket = `${entry.mode}|${entry.players}`;
+        if (!buckets.has(bucket)) buckets.set(bucket, []);
+        buckets.get(bucket).push(entry);
+    });
 
-            this.position.y--;
-            break;
-        }
+    const kept = [];
+    buckets.forEach(list => {
+        kept.push(...list.sort(compareLeaderboardEntries).slice(0, MAX_LEADERBOARD_ENTRIES));
+    });
+    localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(kept));
+    return added.filter(entry => kept.includes(entry)).length;
+}
 
-        if (landedOnLocked) {
-            this.merge();
-            soundManager.drop();
-            this.clearLines();
-            this.spawnPiece();
-        }
-        this.dropCounter = 0;
-        // Send online update if in online game
-        if (typeof networkManager !== 'undefined' && networkManager.connected) {
-            networkManager.sendPlayerInput({ action: 'hardDrop' });
-        }
+function loadReplays() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(REPLAYS_KEY));
+        // Replays saved by an older build would not play back the same way
+        return Array.isArray(parsed) ? parsed.filter(replay => replay && replay.version === REPLAY_VERSION) : [];
+    } catch (error) {
+        return [];
     }
+}
 
-    merge() {
-        for (let y = 0; y < this.currentPiece.length; y++) {
-            for (let x = 0; x < this.currentPiece[y].length; x++) {
-                if (this.currentPiece[y][x]) {
-                    const boardY = this.position.y + y;
-                    const boardX = this.position.x + x;
-                    if (boardY >= 0) {
-                        gameState.board[boardY][boardX] = this.id + 1;
-                    }
-                }
-            }
+// Stores the replay as the newest one; when storage is full the oldest replays make room
+function saveReplay(replay) {
+    const replays = [replay, ...loadReplays().filter(saved => saved.meta.id !== replay.meta.id)].slice(0, MAX_SAVED_REPLAYS);
+    while (replays.length) {
+        try {
+            localStorage.setItem(REPLAYS_KEY, JSON.stringify(replays));
+            return true;
+        } catch (error) {
+            replays.pop();
         }
     }
+    return false;
+}
 
-    clearLines() {
-        let linesCleared = 0;
-
-        const boardWidth = getBoardWidth();
-        for (let y = BOARD_HEIGHT - 1; y >= 0; y--) {
-            if (gameState.board[y].every(cell => cell !== 0)) {
-                gameState.board.splice(y, 1);
-                gameState.board.unshift(Array(boardWidth).fill(0));
-                linesCleared++;
-                y++; // Check the same row again
-            }
-        }
-
-        if (linesCleared === 0) {
-            if (gameState.sharedStats.comboChain !== 0) {
-                gameState.sharedStats.comboChain = 0;
-                gameState.sharedStatsDirty = true;
-            }
-            gameState.sharedStats.lastClearDetail = null;
-            return;
-        }
-
-        // Play line clear sound
-        soundManager.lineClear(linesCleared);
-
-        const comboStep = gameState.sharedStats.comboChain || 0;
-        const comboMultiplier = 1 + STREAK_BONUS_STEP * comboStep;
-        const multiMultiplier = 1 + MULTI_LINE_BONUS_STEP * (linesCleared - 1);
-        const perLineScore = Math.round(BASE_LINE_SCORE * comboMultiplier * multiMultiplier);
-        const gained = perLineScore * linesCleared;
-
-        const streakBonusPercent = Math.round((comboMultiplier - 1) * 100);
-        const multiBonusPercent = Math.round((multiMultiplier - 1) * 100);
-
-        gameState.sharedStats.lines += linesCleared;
-        gameState.sharedStats.score += gained;
-        gameState.sharedStats.level = Math.floor(gameState.sharedStats.lines / 10) + 1;
-        gameState.sharedStats.comboChain = comboStep + 1;
-        gameState.sharedStats.lastClearDetail = {
-            linesCleared,
-            totalScore: gained,
-            perLineScore,
-            basePerLine: BASE_LINE_SCORE,
-            comboChain: gameState.sharedStats.comboChain,
-            comboMultiplier,
-            multiMultiplier,
-            streakBonusPercent,
-            multiBonusPercent
-        };
+function deleteReplay(id) {
+    localStorage.setItem(REPLAYS_KEY, JSON.stringify(loadReplays().filter(replay => replay.meta.id !== id)));
+}
 
-        this.lines = gameState.sharedStats.lines;
-        this.score = gameState.sharedStats.score;
-        this.level = gameState.sharedStats.level;
+function createReplayId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
-        gameState.players.forEach(player => {
-            player.dropInterval = Math.max(100, player.dropInterval * Math.pow(0.95, linesCleared));
-            player.lines = gameState.sharedStats.lines;
-            player.score = gameState.sharedStats.score;
-            player.level = gameState.sharedStats.level;
-        });
+// Imported files can come from anywhere; keep only the meta the replays list shows, in the expected shape
+function normalizeReplayMeta(replay) {
+    const meta = replay.meta || {};
+    const names = Array.isArray(meta.names) ? meta.names : [];
+    replay.meta = {
+        id: typeof meta.id === 'string' && meta.id ? meta.id.slice(0, 40) : createReplayId(),
+        date: typeof meta.date === 'string' && !Number.isNaN(Date.parse(meta.date)) ? meta.date : new Date().toISOString(),
+        mode: getLeaderboardMode(replay.options),
+        names: Array.from({ length: replay.options.numPlayers }, (_, i) =>
+            typeof names[i] === 'string' && names[i] ? names[i].slice(0, 20) : `Player ${i + 1}`),
+        score: Number.isFinite(meta.score) ? meta.score : 0,
+        lines: Number.isFinite(meta.lines) ? meta.lines : 0
+    };
+    return replay;
+}
 
-        gameState.sharedStatsDirty = true;
-    }
+function downloadFile(fileName, text) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
 
-    update(deltaTime) {
-        if (this.gameOver) return;
+// Built-in puzzles as puzzle files, named in the current language
+function getBuiltInPuzzles() {
+    return BUILT_IN_PUZZLES.map(({ text, id, ...puzzle }) => ({
+        format: PUZZLE_FORMAT,
+        version: PUZZLE_VERSION,
+        id,
+        name: t(text),
+        description: t(`${text}Desc`),
+        ...puzzle
+    }));
+}
 
-        this.dropCounter += deltaTime;
-        if (this.dropCounter > this.dropInterval) {
-            this.drop();
-        }
+function loadCustomPuzzles() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(CUSTOM_PUZZLES_KEY));
+        return Array.isArray(parsed) ? parsed.filter(puzzle => !validatePuzzle(puzzle)) : [];
+    } catch (error) {
+        return [];
     }
 }
 
-function isCellOccupiedByOtherPiece(x, y, currentPlayerId) {
-    return gameState.players.some(player => {
-        if (player.id === currentPlayerId || player.gameOver || !player.currentPiece) {
-            return false;
-        }
-
-        for (let py = 0; py < player.currentPiece.length; py++) {
-            for (let px = 0; px < player.currentPiece[py].length; px++) {
-                if (!player.currentPiece[py][px]) continue;
-                const boardX = player.position.x + px;
-                const boardY = player.position.y + py;
+// Adds or replaces an imported puzzle; ids that clash with a built-in one get a fresh id
+function saveCustomPuzzle(puzzle) {
+    const builtIn = BUILT_IN_PUZZLES.some(saved => saved.id === puzzle.id);
+    const stored = { ...puzzle, id: puzzle.id && !builtIn ? puzzle.id.slice(0, 40) : `custom-${createReplayId()}` };
+    const puzzles = [...loadCustomPuzzles().filter(saved => saved.id !== stored.id), stored];
+    localStorage.setItem(CUSTOM_PUZZLES_KEY, JSON.stringify(puzzles));
+    return stored;
+}
 
-                if (boardX === x && boardY === y) {
-                    return true;
-                }
-            }
-        }
+function deleteCustomPuzzle(id) {
+    localStorage.setItem(CUSTOM_PUZZLES_KEY, JSON.stringify(loadCustomPuzzles().filter(puzzle => puzzle.id !== id)));
+}
 
-        return false;
-    });
+// Progress by puzzle id: { attempts, solved, bestPieces } where bestPieces is the fewest pieces a solution used
+function loadPuzzleProgress() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(PUZZLE_PROGRESS_KEY));
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
+    }
 }
 
-function checkAllPlayersGameOver() {
-    if (!gameState.players.length) return;
+// Counts the attempt and keeps the best solution; returns the previous progress and whether it was improved
+function savePuzzleResult(puzzleId, engine) {
+    const progress = loadPuzzleProgress();
+    const previous = progress[puzzleId] || null;
+    const pieces = engine.players.reduce((sum, player) => sum + player.stats.pieces, 0);
+    const improved = engine.goalReached && (!previous || !previous.solved || pieces < previous.bestPieces);
+    progress[puzzleId] = {
+        attempts: (previous ? previous.attempts : 0) + 1,
+        solved: Boolean(engine.goalReached || (previous && previous.solved)),
+        bestPieces: improved ? pieces : (previous ? previous.bestPieces : null)
+    };
+    localStorage.setItem(PUZZLE_PROGRESS_KEY, JSON.stringify(progress));
+    return { previous, improved };
+}
 
-    if (gameState.players.every(player => player.gameOver)) {
-        gameState.isGameOver = true;
-        soundManager.gameOver();
+function getObjectiveLabel(objective) {
+    switch (objective.type) {
+        case 'lines':
+            return `${t('objectiveLines')}: ${objective.lines || 1}`;
+        case 'tspin':
+            return `${t('objectiveTSpin')}: ${objective.lines || 1}`;
+        case 'clear':
+        default:
+            return t('objectiveClear');
     }
 }
 
+function createActionState() {
+    return {
+        active: false,
+        heldTime: 0,
+        hasFiredInitial: false
+    };
+}
+
 // UI Manager
 class UIManager {
     constructor() {
@@ -904,7 +1427,11 @@ class UIManager {
             coopSetup: document.getElementById('coop-setup-screen'),
             onlineLobby: document.getElementById('online-lobby-screen'),
             gameScreen: document.getElementById('game-screen'),
-            settingsScreen: document.getElementById('settings-screen')
+            settingsScreen: document.getElementById('settings-screen'),
+            leaderboard: document.getElementById('leaderboard-screen'),
+            replays: document.getElementById('replays-screen'),
+            puzzles: document.getElementById('puzzles-screen'),
+            editor: document.getElementById('editor-screen')
         };
 
         this.modals = {
@@ -923,6 +1450,15 @@ class UIManager {
         this.clearFeed = document.getElementById('clear-feed');
         this.pendingScaleFrame = null;
         this.lastComboChain = 0;
+        this.recorder = null; // Records local games; online games are recorded by the server
+        this.lastReplay = null;
+        this.botPlayers = new Set(); // Player ids steered by a Bot instead of keys
+        this.editor = null; // Board editor state, kept between visits
+        this.replayPlayer = null; // Set while the replay viewer is open
+        this.replayPlaying = false;
+        this.replaySpeed = 1;
+        this.replayAccumulator = 0;
+        this.replayFromRoom = false;
         
         // Set combo help tooltip
         if (this.comboIndicator) {
@@ -932,6 +1468,7 @@ class UIManager {
         this.isOnlineMode = false; // Flag for online multiplayer mode
         this.networkPlayers = {}; // Map of network player IDs to local indices
         this.localPlayerIndex = -1; // Local player index in online mode
+        this.isSpectating = false; // Watching an online game without a seat
 
         this.moveRepeatInterval = 90;
         this.softDropInitialDelay = 0;
@@ -941,11 +1478,25 @@ class UIManager {
         this.initTouchControls();
         this.initGamepads();
         window.addEventListener('resize', () => this.handleResize());
+        this.openInviteLink();
+    }
+
+    // ?room=CODE opens the online lobby and joins that room once connected
+    openInviteLink() {
+        const code = new URLSearchParams(window.location.search).get('room');
+        if (!code) return;
+
+        this.pendingInviteCode = code.trim().toUpperCase();
+        // Reloading later shouldn't join again
+        const url = new URL(window.location.href);
+        url.searchParams.delete('room');
+        window.history.replaceState(null, '', url.toString());
+        this.showOnlineLobby();
     }
     
     // Helper method to check if a player can be controlled locally
     isPlayerControllable(player) {
-        if (player.gameOver) return false;
+        if (player.gameOver || this.replayPlayer || this.botPlayers.has(player.id)) return false;
         // In online mode, only allow local player to be controlled
         if (this.isOnlineMode && player.id !== this.localPlayerIndex) {
             return false;
@@ -953,6 +1504,23 @@ class UIManager {
         return true;
     }
 
+    // All local and remote actions go through the engine so rules live in one place
+    applyPlayerAction(player, action, value) {
+        if (!gameState.engine || this.replayPlayer) return false;
+
+        // Online games are simulated on the server; it sends back the result as a snapshot
+        if (this.isOnlineMode) {
+            const input = { action };
+            if (action === 'move') {
+                input.direction = value;
+            }
+            networkManager.sendPlayerInput(input);
+            return true;
+        }
+
+        return gameState.engine.input(player.id, action, value);
+    }
+
     initGamepads() {
         // Scan for gamepads initially
         scanGamepads();
@@ -1002,7 +1570,7 @@ class UIManager {
             if (playerIndex === undefined) continue;
             
             const player = gameState.players[playerIndex];
-            if (!player || player.gameOver) continue;
+            if (!player || !this.isPlayerControllable(player)) continue;
             
             // Get or create button state for this gamepad
             if (!gameState.gamepads.buttonStates.has(i)) {
@@ -1031,19 +1599,22 @@ class UIManager {
     handleGamepadAction(player, action) {
         switch (action) {
             case 'left':
-                player.move(-1);
+                this.applyPlayerAction(player, 'move', -1);
                 break;
             case 'right':
-                player.move(1);
+                this.applyPlayerAction(player, 'move', 1);
                 break;
             case 'down':
-                player.drop();
+                this.applyPlayerAction(player, 'drop');
                 break;
             case 'rotate':
-                player.rotate();
+            case 'rotateCCW':
+            case 'rotate180':
+            case 'hold':
+                this.applyPlayerAction(player, action);
                 break;
             case 'drop':
-                player.hardDrop();
+                this.applyPlayerAction(player, 'hardDrop');
                 break;
         }
     }
@@ -1059,9 +1630,66 @@ class UIManager {
         
         // Mode selection - new menu structure
         document.getElementById('mode-single').addEventListener('click', () => this.startGame(1));
+        document.getElementById('mode-sprint').addEventListener('click', () => this.startGame(1, { goal: 'sprint' }));
+        document.getElementById('mode-ultra').addEventListener('click', () => this.startGame(1, { goal: 'ultra' }));
         document.getElementById('mode-local').addEventListener('click', () => this.showCoopSetup());
         document.getElementById('mode-online').addEventListener('click', () => this.showOnlineLobby());
 
+        document.getElementById('mode-puzzles').addEventListener('click', () => this.showPuzzles());
+        document.getElementById('leaderboard-btn').addEventListener('click', () => this.showLeaderboard());
+
+        // Puzzles
+        const puzzleInput = document.getElementById('import-puzzle-input');
+        document.getElementById('import-puzzle-btn').addEventListener('click', () => puzzleInput.click());
+        puzzleInput.addEventListener('change', () => {
+            if (puzzleInput.files && puzzleInput.files[0]) {
+                this.importPuzzleFile(puzzleInput.files[0]);
+            }
+            puzzleInput.value = '';
+        });
+        document.getElementById('back-from-puzzles-btn').addEventListener('click', () => this.showScreen('mainMenu'));
+        document.getElementById('open-editor-btn').addEventListener('click', () => this.showEditor());
+        this.initEditor();
+
+        // Leaderboard
+        document.getElementById('leaderboard-mode-filter').addEventListener('change', () => this.renderLeaderboard());
+        document.getElementById('leaderboard-players-filter').addEventListener('change', () => this.renderLeaderboard());
+        document.getElementById('export-leaderboard-btn').addEventListener('click', () => this.exportLeaderboard());
+        const importInput = document.getElementById('import-leaderboard-input');
+        document.getElementById('import-leaderboard-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files && importInput.files[0]) {
+                this.importLeaderboard(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
+        document.getElementById('back-from-leaderboard-btn').addEventListener('click', () => this.showScreen('mainMenu'));
+
+        // Replays
+        document.getElementById('replays-btn').addEventListener('click', () => this.showReplays());
+        document.getElementById('back-from-replays-btn').addEventListener('click', () => this.showScreen('mainMenu'));
+        document.getElementById('watch-replay-btn').addEventListener('click', () => {
+            if (this.lastReplay) {
+                this.hideModal('gameOver');
+                this.startReplay(this.lastReplay);
+            }
+        });
+        document.getElementById('export-replay-btn').addEventListener('click', () => {
+            if (this.lastReplay) {
+                this.exportReplay(this.lastReplay);
+            }
+        });
+        const replayInput = document.getElementById('import-replay-input');
+        document.getElementById('import-replay-btn').addEventListener('click', () => replayInput.click());
+        replayInput.addEventListener('change', () => {
+            if (replayInput.files && replayInput.files[0]) {
+                this.importReplayFile(replayInput.files[0]);
+            }
+            replayInput.value = '';
+        });
+        this.initReplayDrop();
+        this.initReplayControls();
+
         // Co-op setup
         document.querySelectorAll('.player-count-btn').forEach(btn => {
             btn.addEventListener('click', () => this.selectPlayerCount(btn));
@@ -1072,6 +1700,11 @@ class UIManager {
         // Online lobby
         document.getElementById('back-from-online-btn').addEventListener('click', () => this.showScreen('mainMenu'));
         document.getElementById('create-room-btn').addEventListener('click', () => this.createRoom());
+        document.getElementById('join-code-btn').addEventListener('click', () => this.joinRoomByCode());
+        document.getElementById('invite-code-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.joinRoomByCode();
+        });
+        document.getElementById('copy-invite-btn').addEventListener('click', () => this.copyInviteLink());
         const nicknameInput = document.getElementById('nickname-input');
         if (nicknameInput) {
             // Load saved nickname
@@ -1096,6 +1729,83 @@ class UIManager {
         if (readyBtn) {
             readyBtn.addEventListener('click', () => this.toggleReady());
         }
+        const addBotBtn = document.getElementById('add-bot-btn');
+        if (addBotBtn) {
+            addBotBtn.addEventListener('click', () => {
+                networkManager.addBot(document.getElementById('room-bot-difficulty').value);
+            });
+        }
+        const roomMaxPlayersSelect = document.getElementById('room-max-players-select');
+        if (roomMaxPlayersSelect) {
+            roomMaxPlayersSelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ maxPlayers: Number(roomMaxPlayersSelect.value) });
+            });
+        }
+        const lockRoomBtn = document.getElementById('lock-room-btn');
+        if (lockRoomBtn) {
+            lockRoomBtn.addEventListener('click', () => {
+                const room = networkManager.currentRoom;
+                networkManager.setRoomLocked(!(room && room.locked));
+            });
+        }
+        const forceStartBtn = document.getElementById('force-start-btn');
+        if (forceStartBtn) {
+            forceStartBtn.addEventListener('click', () => networkManager.forceStart());
+        }
+        const roomModeSelect = document.getElementById('room-mode-select');
+        if (roomModeSelect) {
+            roomModeSelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ mode: roomModeSelect.value });
+            });
+        }
+        const roomAttackTableSelect = document.getElementById('room-attack-table-select');
+        if (roomAttackTableSelect) {
+            roomAttackTableSelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ attackTable: roomAttackTableSelect.value });
+            });
+        }
+        const roomRandomizerSelect = document.getElementById('room-randomizer-select');
+        if (roomRandomizerSelect) {
+            roomRandomizerSelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ randomizer: roomRandomizerSelect.value });
+            });
+        }
+        const roomGravitySelect = document.getElementById('room-gravity-select');
+        if (roomGravitySelect) {
+            roomGravitySelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ gravity: roomGravitySelect.value });
+            });
+        }
+        const roomStartLevelSelect = document.getElementById('room-start-level-select');
+        if (roomStartLevelSelect) {
+            roomStartLevelSelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ startLevel: Number(roomStartLevelSelect.value) });
+            });
+        }
+        const roomScoringSelect = document.getElementById('room-scoring-select');
+        if (roomScoringSelect) {
+            roomScoringSelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ scoring: roomScoringSelect.value });
+            });
+        }
+        const roomBoardHeightSelect = document.getElementById('room-board-height-select');
+        if (roomBoardHeightSelect) {
+            roomBoardHeightSelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ boardHeight: Number(roomBoardHeightSelect.value) });
+            });
+        }
+        const roomColumnsSelect = document.getElementById('room-columns-select');
+        if (roomColumnsSelect) {
+            roomColumnsSelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ columnsPerPlayer: Number(roomColumnsSelect.value) });
+            });
+        }
+        const roomLockDelaySelect = document.getElementById('room-lock-delay-select');
+        if (roomLockDelaySelect) {
+            roomLockDelaySelect.addEventListener('change', () => {
+                networkManager.updateRoomSettings({ lockDelay: Number(roomLockDelaySelect.value) });
+            });
+        }
 
         // Settings
         document.getElementById('settings-btn').addEventListener('click', () => this.showSettings());
@@ -1179,11 +1889,11 @@ class UIManager {
         }
 
         const current = gameState.players[this.touchPlayerIndex];
-        if (current && !current.gameOver) {
+        if (current && this.isPlayerControllable(current)) {
             return current;
         }
 
-        const fallback = gameState.players.find(player => !player.gameOver);
+        const fallback = gameState.players.find(player => this.isPlayerControllable(player));
         if (fallback) {
             this.touchPlayerIndex = fallback.id;
             return fallback;
@@ -1207,20 +1917,23 @@ class UIManager {
 
         switch (action) {
             case 'left':
-                player.move(-1);
+                this.applyPlayerAction(player, 'move', -1);
                 break;
             case 'right':
-                player.move(1);
+                this.applyPlayerAction(player, 'move', 1);
                 break;
             case 'down':
-                player.drop();
+                this.applyPlayerAction(player, 'drop');
                 requiresInfoUpdate = true;
                 break;
             case 'rotate':
-                player.rotate();
+            case 'rotateCCW':
+            case 'rotate180':
+            case 'hold':
+                this.applyPlayerAction(player, action);
                 break;
             case 'drop':
-                player.hardDrop();
+                this.applyPlayerAction(player, 'hardDrop');
                 requiresInfoUpdate = true;
                 break;
             default:
@@ -1229,7 +1942,7 @@ class UIManager {
 
         if (requiresInfoUpdate) {
             this.updatePlayerInfo(player);
-            this.drawNextPiece(player);
+            this.drawPiecePreviews(player);
         }
 
         this.drawBoard();
@@ -1270,9 +1983,10 @@ class UIManager {
             this.scheduleBoardScaleUpdate();
         }
 
+        // Versus players keep their own score above their board instead
         const teamStats = document.getElementById('team-stats');
         if (teamStats) {
-            if (screenName === 'gameScreen') {
+            if (screenName === 'gameScreen' && !(gameState.engine && gameState.engine.mode === 'versus')) {
                 teamStats.classList.add('visible');
                 this.updateTeamStats();
             } else {
@@ -1281,8 +1995,18 @@ class UIManager {
             }
         }
 
+        const replayControls = document.getElementById('replay-controls');
+        if (replayControls) {
+            replayControls.classList.toggle('visible', screenName === 'gameScreen' && Boolean(this.replayPlayer));
+        }
+
+        const spectatorBanner = document.getElementById('spectator-banner');
+        if (spectatorBanner) {
+            spectatorBanner.classList.toggle('visible', screenName === 'gameScreen' && this.isSpectating);
+        }
+
         if (this.touchControls) {
-            if (screenName === 'gameScreen') {
+            if (screenName === 'gameScreen' && !this.replayPlayer && !this.isSpectating) {
                 this.touchControls.classList.add('visible');
                 this.refreshTouchStatus();
             } else {
@@ -1302,18 +2026,69 @@ class UIManager {
         this.modals[modalName].classList.remove('active');
     }
 
-    startGame(numPlayers) {
+    startGame(numPlayers, options = {}) {
         gameState.numPlayers = numPlayers;
         gameState.isPaused = false;
-        gameState.isGameOver = false;
-        gameState.players = [];
-        gameState.boardWidth = computeBoardWidth(numPlayers);
-        gameState.board = createEmptyBoard(gameState.boardWidth, BOARD_HEIGHT);
         gameState.lastTime = 0;
         this.touchPlayerIndex = 0;
         gameState.inputStates = new Map();
-        resetSharedStats();
+        this.lastGameOptions = options; // Play Again repeats the same kind of game
+        this.playerNames = options.names || null; // Online nicknames, for the leaderboard
+
+        const engine = new GameEngine({
+            numPlayers,
+            colors: gameState.settings.colors,
+            seed: options.seed !== undefined ? options.seed : gameState.settings.seed,
+            // Timed goals are always played on a co-op board
+            mode: options.goal ? 'coop' : (options.mode || gameState.settings.mode),
+            goal: options.goal,
+            goalLines: gameState.settings.sprintLines,
+            attackTable: options.attackTable || gameState.settings.attackTable,
+            randomizer: options.randomizer || gameState.settings.randomizer,
+            lockDelay: options.lockDelay !== undefined ? options.lockDelay : gameState.settings.lockDelay,
+            gravity: options.gravity || gameState.settings.gravity,
+            gravityTable: options.gravity ? null : gameState.settings.gravityTable,
+            startLevel: options.startLevel || gameState.settings.startLevel,
+            scoring: options.scoring || gameState.settings.scoring,
+            // Online rooms pick their board size
+            boardHeight: options.boardHeight,
+            columnsPerPlayer: options.columnsPerPlayer,
+            // The editor can start a game from a painted co-op board; a puzzle brings its own board, pieces and objective
+            ...(options.board ? { mode: 'coop', board: options.board } : {}),
+            ...(options.puzzle ? getPuzzleOptions(options.puzzle) : {})
+        });
+        gameState.engine = engine;
+        this.attachEngineListeners(engine);
+        this.replayPlayer = null;
+        this.replayFromRoom = false;
+        this.recorder = this.isOnlineMode ? null : new ReplayRecorder(engine);
+        this.lastReplay = null;
+
+        // Online bots run on the server; the room marks them in `bots` too so they aren't steered from here
+        this.botPlayers = new Set();
+        (options.bots || []).forEach((difficulty, id) => {
+            if (!difficulty || id >= numPlayers) return;
+            this.botPlayers.add(id);
+            if (!this.isOnlineMode) {
+                new Bot(engine, id, difficulty);
+            }
+        });
+
+        // Online games start from the server's first snapshot
+        if (!this.isOnlineMode) {
+            engine.start();
+        }
+
+        this.buildGameView(engine);
+        this.showScreen('gameScreen');
+        this.refreshTouchStatus();
+        this.scheduleBoardScaleUpdate();
+        requestAnimationFrame((time) => this.gameLoop(time, engine));
+    }
 
+    // Boards, previews and player panels for an engine; shared by games and the replay viewer
+    buildGameView(engine) {
+        const numPlayers = engine.numPlayers;
         const container = document.getElementById('game-container');
         container.innerHTML = '';
         
@@ -1333,35 +2108,21 @@ class UIManager {
         this.lastComboChain = 0;
         this.updateComboIndicator();
 
-        const boardWrapper = document.createElement('div');
-        boardWrapper.id = 'shared-board';
-
-        const canvas = document.createElement('canvas');
-        canvas.id = 'game-canvas';
-        canvas.width = gameState.boardWidth * BLOCK_SIZE;
-        canvas.height = BOARD_HEIGHT * BLOCK_SIZE;
-        canvas.style.width = '100%';
-        canvas.style.height = 'auto';
-        canvas.style.maxWidth = `${canvas.width}px`;
-        canvas.style.maxHeight = `${canvas.height}px`;
-        boardWrapper.style.setProperty('--board-max-width', `${canvas.width}px`);
-        boardWrapper.appendChild(canvas);
-
-        container.appendChild(boardWrapper);
+        if (engine.mode === 'versus') {
+            // One board per player, side by side
+            const boardsWrapper = document.createElement('div');
+            boardsWrapper.id = 'versus-boards';
+            engine.players.forEach(player => boardsWrapper.appendChild(this.createVersusBoard(player, engine)));
+            container.appendChild(boardsWrapper);
+        } else {
+            const boardWrapper = document.createElement('div');
+            boardWrapper.id = 'shared-board';
+            boardWrapper.appendChild(this.createBoardCanvas('game-canvas', engine));
+            boardWrapper.style.setProperty('--board-max-width', `${engine.boardWidth * BLOCK_SIZE}px`);
+            container.appendChild(boardWrapper);
+        }
 
-        for (let i = 0; i < numPlayers; i++) {
-            const spawnAnchor = ((i + 1) / (numPlayers + 1)) * gameState.boardWidth;
-            const player = new Player(
-                i,
-                gameState.settings.colors[i],
-                gameState.settings.keys[i],
-                spawnAnchor
-            );
-            player.init();
-            player.score = gameState.sharedStats.score;
-            player.level = gameState.sharedStats.level;
-            player.lines = gameState.sharedStats.lines;
-            gameState.players.push(player);
+        engine.players.forEach(player => {
             gameState.inputStates.set(player.id, {
                 left: createActionState(),
                 right: createActionState(),
@@ -1371,8 +2132,8 @@ class UIManager {
             this.createPlayerInfo(player, playerInfoSidebar);
             this.createNextPiecePreview(player, nextPiecesPreview);
             this.updatePlayerInfo(player);
-            this.drawNextPiece(player);
-        }
+            this.drawPiecePreviews(player);
+        });
 
         if (nextPiecesPreview && numPlayers > 0) {
             nextPiecesPreview.classList.add('visible');
@@ -1383,11 +2144,60 @@ class UIManager {
         }
 
         this.drawBoard();
+        this.updateGoalTimer();
+    }
 
-        this.showScreen('gameScreen');
-        this.refreshTouchStatus();
-        this.scheduleBoardScaleUpdate();
-        requestAnimationFrame((time) => this.gameLoop(time));
+    createBoardCanvas(id, engine) {
+        const canvas = document.createElement('canvas');
+        canvas.id = id;
+        canvas.width = engine.boardWidth * BLOCK_SIZE;
+        canvas.height = engine.boardHeight * BLOCK_SIZE;
+        canvas.style.width = '100%';
+        canvas.style.height = 'auto';
+        canvas.style.maxWidth = `${canvas.width}px`;
+        canvas.style.maxHeight = `${canvas.height}px`;
+        return canvas;
+    }
+
+    // A player's versus board: name and score above, the incoming garbage meter beside it
+    createVersusBoard(player, engine) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'versus-board';
+        wrapper.id = `versus-board-${player.id}`;
+        wrapper.style.setProperty('--player-color', player.color);
+
+        const header = document.createElement('div');
+        header.className = 'versus-board-header';
+        header.innerHTML = `
+            <span class="preview-badge" style="background:${player.color}"></span>
+            <span>Player ${player.id + 1}</span>
+            <span class="versus-board-score" id="versus-score-${player.id}"></span>
+        `;
+
+        const body = document.createElement('div');
+        body.className = 'versus-board-body';
+
+        const meter = document.createElement('div');
+        meter.className = 'garbage-meter';
+        const fill = document.createElement('div');
+        fill.className = 'garbage-meter-fill';
+        fill.id = `garbage-meter-${player.id}`;
+        meter.appendChild(fill);
+
+        body.appendChild(meter);
+        body.appendChild(this.createBoardCanvas(`game-canvas-${player.id}`, engine));
+        wrapper.appendChild(header);
+        wrapper.appendChild(body);
+        return wrapper;
+    }
+
+    // Engine side effects that belong to the browser
+    attachEngineListeners(engine) {
+        engine.on('move', () => soundManager.move());
+        engine.on('rotate', () => soundManager.rotate());
+        engine.on('lock', () => soundManager.drop());
+        engine.on('clear', (player, detail) => soundManager.lineClear(detail.linesCleared));
+        engine.on('gameOver', () => soundManager.gameOver());
     }
     
     createNextPiecePreview(player, container) {
@@ -1397,11 +2207,24 @@ class UIManager {
         item.className = 'next-piece-item';
         item.id = `next-item-${player.id}`;
         
-        const nextCanvas = document.createElement('canvas');
-        nextCanvas.id = `next-${player.id}`;
-        nextCanvas.width = PREVIEW_SIZE * BLOCK_SIZE;
-        nextCanvas.height = PREVIEW_SIZE * BLOCK_SIZE;
-        item.appendChild(nextCanvas);
+        ['hold', 'next'].forEach(slot => {
+            const slotEl = document.createElement('div');
+            slotEl.className = 'preview-slot';
+
+            const label = document.createElement('span');
+            label.className = 'preview-slot-label';
+            label.textContent = t(slot);
+            slotEl.appendChild(label);
+
+            const canvas = document.createElement('canvas');
+            canvas.id = `${slot}-${player.id}`;
+            const count = slot === 'next' ? gameState.settings.previewCount : 1;
+            canvas.width = PREVIEW_SIZE * (BLOCK_SIZE + (count - 1) * QUEUED_BLOCK_SIZE);
+            canvas.height = PREVIEW_SIZE * BLOCK_SIZE;
+            slotEl.appendChild(canvas);
+
+            item.appendChild(slotEl);
+        });
         
         container.appendChild(item);
     }
@@ -1418,7 +2241,7 @@ class UIManager {
         header.style.setProperty('--player-color', player.color);
         header.innerHTML = `
             <span class="preview-badge" style="background:${player.color}"></span>
-            Player ${player.id + 1}
+            Player ${player.id + 1}${this.botPlayers.has(player.id) ? ` 🤖 ${t('cpu')}` : ''}
         `;
 
         const status = document.createElement('div');
@@ -1426,13 +2249,23 @@ class UIManager {
         status.id = `status-${player.id}`;
         status.textContent = 'In play';
 
+        const stats = document.createElement('div');
+        stats.className = 'preview-stats';
+        stats.id = `stats-${player.id}`;
+
         preview.appendChild(header);
         preview.appendChild(status);
+        preview.appendChild(stats);
         container.appendChild(preview);
     }
 
-    gameLoop(time) {
-        if (gameState.isGameOver) {
+    gameLoop(time, engine) {
+        // A restart or quit replaced the engine; let this loop end
+        if (gameState.engine !== engine) {
+            return;
+        }
+
+        if (engine.isGameOver) {
             this.refreshTouchStatus();
             this.showGameOver();
             return;
@@ -1445,51 +2278,69 @@ class UIManager {
             // Poll gamepads
             this.pollGamepads();
 
-            let touchStatusNeedsUpdate = false;
-            gameState.players.forEach(player => {
-                const wasGameOver = player.gameOver;
+            const activeBefore = engine.players.filter(player => !player.gameOver);
+            if (!this.isOnlineMode) {
+                engine.tick(deltaTime);
+            }
 
+            let touchStatusNeedsUpdate = false;
+            activeBefore.forEach(player => {
                 if (!player.gameOver) {
-                    player.update(deltaTime);
                     this.applyContinuousInputs(player, deltaTime);
-                    this.updatePlayerInfo(player);
-                    this.drawNextPiece(player);
                 }
 
-                if (!wasGameOver && player.gameOver) {
+                this.updatePlayerInfo(player);
+                this.drawPiecePreviews(player);
+
+                if (player.gameOver) {
                     touchStatusNeedsUpdate = true;
                 }
             });
 
             this.drawBoard();
             this.updateTeamStatsIfNeeded();
+            this.updateGoalTimer();
 
             if (touchStatusNeedsUpdate) {
                 this.refreshTouchStatus();
             }
         }
 
-        requestAnimationFrame((time) => this.gameLoop(time));
+        requestAnimationFrame((time) => this.gameLoop(time, engine));
     }
 
     drawBoard() {
-        const canvas = document.getElementById('game-canvas');
+        const engine = gameState.engine;
+        if (engine && engine.mode === 'versus') {
+            engine.players.forEach(player => {
+                this.drawBoardCanvas(document.getElementById(`game-canvas-${player.id}`), player.board, [player]);
+                this.updateVersusBoard(player);
+            });
+            return;
+        }
+
+        this.drawBoardCanvas(document.getElementById('game-canvas'), gameState.board, gameState.players);
+    }
+
+    // Locked cells of a board plus the ghosts and falling pieces of the players on it.
+    // Cells are drawn in the colours of the running game's players unless `colors` is given (the editor has no game)
+    drawBoardCanvas(canvas, board, players, colors = gameState.players.map(player => player.color)) {
         if (!canvas) return;
 
         const ctx = canvas.getContext('2d');
-        const boardWidth = getBoardWidth();
+        const boardWidth = board[0] ? board[0].length : 0;
+        const boardHeight = board.length;
         
         // Dark background with subtle grid
         ctx.fillStyle = '#0a0515';
         ctx.fillRect(0, 0, canvas.width, canvas.height);
 
         // Draw locked blocks with retro styling
-        for (let y = 0; y < BOARD_HEIGHT; y++) {
+        for (let y = 0; y < boardHeight; y++) {
             for (let x = 0; x < boardWidth; x++) {
-                const occupant = gameState.board[y][x];
+                const occupant = board[y][x];
                 if (occupant) {
-                    const player = gameState.players[occupant - 1];
-                    const color = player ? player.color : '#333';
+                    const color = occupant === GARBAGE_CELL ? GARBAGE_COLOR : (colors[occupant - 1] || '#333');
                     
                     // Main block with gradient
                     const gradient = ctx.createLinearGradient(
@@ -1513,10 +2364,15 @@ class UIManager {
             }
         }
 
+        if (gameState.settings.showGhost) {
+            players.forEach(player => this.drawGhostPiece(ctx, player));
+        }
+
         // Draw active pieces with glow
-        gameState.players.forEach(player => {
+        players.forEach(player => {
             if (!player.currentPiece || player.gameOver) return;
 
+            const lockProgress = player.lockProgress;
             for (let y = 0; y < player.currentPiece.length; y++) {
                 for (let x = 0; x < player.currentPiece[y].length; x++) {
                     if (player.currentPiece[y][x]) {
@@ -1547,12 +2403,68 @@ class UIManager {
                         ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
                         ctx.lineWidth = 2;
                         ctx.strokeRect(drawX, drawY, BLOCK_SIZE - 2, BLOCK_SIZE - 2);
+
+                        // Lock indicator: a resting piece fades toward the background until it locks
+                        if (lockProgress > 0) {
+                            ctx.fillStyle = `rgba(10, 5, 21, ${(lockProgress * 0.6).toFixed(2)})`;
+                            ctx.fillRect(drawX, drawY, BLOCK_SIZE - 2, BLOCK_SIZE - 2);
+                        }
                     }
                 }
             }
         });
     }
     
+    updateVersusBoard(player) {
+        const wrapper = document.getElementById(`versus-board-${player.id}`);
+        if (!wrapper) return;
+
+        const engine = gameState.engine;
+        wrapper.classList.toggle('is-out', player.gameOver);
+        wrapper.classList.toggle('is-winner', engine.isGameOver && engine.winnerId === player.id);
+
+        const scoreEl = document.getElementById(`versus-score-${player.id}`);
+        if (scoreEl) {
+            scoreEl.textContent = `${formatNumber(player.score)} • ${t('level')} ${player.level}`;
+        }
+
+        // A full meter is a whole board of garbage
+        const fill = document.getElementById(`garbage-meter-${player.id}`);
+        if (fill) {
+            const pending = player.pendingGarbage;
+            fill.style.height = `${Math.min(100, (pending / engine.boardHeight) * 100)}%`;
+            fill.classList.toggle('is-danger', pending >= 4);
+        }
+    }
+
+    // Landing shadow in the player's colour, found with the same rules as a hard drop
+    drawGhostPiece(ctx, player) {
+        if (!player.currentPiece || player.gameOver) return;
+
+        const landing = player.getLandingPosition();
+        if (landing.y === player.position.y) return;
+
+        const opacity = gameState.settings.ghostOpacity;
+        for (let y = 0; y < player.currentPiece.length; y++) {
+            for (let x = 0; x < player.currentPiece[y].length; x++) {
+                if (!player.currentPiece[y][x] || landing.y + y < 0) continue;
+
+                const drawX = (landing.x + x) * BLOCK_SIZE;
+                const drawY = (landing.y + y) * BLOCK_SIZE;
+
+                ctx.globalAlpha = opacity;
+                ctx.fillStyle = player.color;
+                ctx.fillRect(drawX, drawY, BLOCK_SIZE - 2, BLOCK_SIZE - 2);
+
+                ctx.globalAlpha = Math.min(1, opacity * 2);
+                ctx.strokeStyle = player.color;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(drawX + 1, drawY + 1, BLOCK_SIZE - 4, BLOCK_SIZE - 4);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
     darkenColor(color, amount) {
         // Parse hex color and darken it
         if (!color || typeof color !== 'string' || !color.startsWith('#')) {
@@ -1574,48 +2486,70 @@ class UIManager {
         return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
     }
 
-    drawNextPiece(player) {
-        const nextCanvas = document.getElementById(`next-${player.id}`);
-        if (!nextCanvas) return;
+    drawPiecePreviews(player) {
+        const queue = player.nextQueue.slice(0, gameState.settings.previewCount);
+        this.drawPreviewQueue(`next-${player.id}`, queue, player.color);
+        // The held piece is dimmed while it can't be swapped again
+        this.drawPreviewQueue(`hold-${player.id}`, [player.heldPiece], player.color, player.canHold ? 1 : 0.35);
+    }
 
-        const nextCtx = nextCanvas.getContext('2d');
-        nextCtx.clearRect(0, 0, nextCanvas.width, nextCanvas.height);
+    // Draws pieces left to right, the first one full size and the rest smaller
+    drawPreviewQueue(canvasId, types, color, alpha = 1) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
 
-        if (player.nextPiece) {
-            const offsetX = Math.floor((PREVIEW_SIZE - player.nextPiece[0].length) / 2);
-            const offsetY = Math.floor((PREVIEW_SIZE - player.nextPiece.length) / 2);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.globalAlpha = alpha;
+
+        let originX = 0;
+        types.forEach((type, index) => {
+            const blockSize = index === 0 ? BLOCK_SIZE : QUEUED_BLOCK_SIZE;
+            if (type) {
+                const originY = (canvas.height - PREVIEW_SIZE * blockSize) / 2;
+                this.drawPreviewShape(ctx, type, color, originX, originY, blockSize);
+            }
+            originX += PREVIEW_SIZE * blockSize;
+        });
 
-            for (let y = 0; y < player.nextPiece.length; y++) {
-                for (let x = 0; x < player.nextPiece[y].length; x++) {
-                    if (player.nextPiece[y][x]) {
-                        const drawX = (offsetX + x) * BLOCK_SIZE;
-                        const drawY = (offsetY + y) * BLOCK_SIZE;
-                        
-                        // Glow effect
-                        nextCtx.shadowColor = player.color;
-                        nextCtx.shadowBlur = 6;
-                        
-                        // Main block with gradient
-                        const gradient = nextCtx.createLinearGradient(
-                            drawX, drawY,
-                            drawX, drawY + BLOCK_SIZE
-                        );
-                        gradient.addColorStop(0, player.color);
-                        gradient.addColorStop(1, this.darkenColor(player.color, 0.3));
-                        nextCtx.fillStyle = gradient;
-                        nextCtx.fillRect(drawX, drawY, BLOCK_SIZE - 2, BLOCK_SIZE - 2);
-                        
-                        nextCtx.shadowBlur = 0;
+        ctx.globalAlpha = 1;
+    }
 
-                        // Highlight
-                        nextCtx.fillStyle = 'rgba(255, 255, 255, 0.4)';
-                        nextCtx.fillRect(drawX + 2, drawY + 2, BLOCK_SIZE - 6, 3);
-                        
-                        // Border
-                        nextCtx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-                        nextCtx.lineWidth = 2;
-                        nextCtx.strokeRect(drawX, drawY, BLOCK_SIZE - 2, BLOCK_SIZE - 2);
-                    }
+    drawPreviewShape(ctx, type, color, originX, originY, blockSize) {
+        const shape = trimShape(SHAPES[type]);
+        const offsetX = Math.floor((PREVIEW_SIZE - shape[0].length) / 2);
+        const offsetY = Math.floor((PREVIEW_SIZE - shape.length) / 2);
+
+        for (let y = 0; y < shape.length; y++) {
+            for (let x = 0; x < shape[y].length; x++) {
+                if (shape[y][x]) {
+                    const drawX = originX + (offsetX + x) * blockSize;
+                    const drawY = originY + (offsetY + y) * blockSize;
+                    
+                    // Glow effect
+                    ctx.shadowColor = color;
+                    ctx.shadowBlur = 6;
+                    
+                    // Main block with gradient
+                    const gradient = ctx.createLinearGradient(
+                        drawX, drawY,
+                        drawX, drawY + blockSize
+                    );
+                    gradient.addColorStop(0, color);
+                    gradient.addColorStop(1, this.darkenColor(color, 0.3));
+                    ctx.fillStyle = gradient;
+                    ctx.fillRect(drawX, drawY, blockSize - 2, blockSize - 2);
+                    
+                    ctx.shadowBlur = 0;
+
+                    // Highlight
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+                    ctx.fillRect(drawX + 2, drawY + 2, blockSize - 6, 3);
+                    
+                    // Border
+                    ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(drawX, drawY, blockSize - 2, blockSize - 2);
                 }
             }
         }
@@ -1632,26 +2566,70 @@ class UIManager {
             statusEl.textContent = t('inPlay');
             statusEl.classList.remove('is-out');
         }
+
+        const statsEl = document.getElementById(`stats-${player.id}`);
+        if (statsEl) {
+            const { pieces, lines, attack } = player.stats;
+            statsEl.textContent = `${formatNumber(pieces)} ${t('statPieces')} • ${formatNumber(lines)} ${t('statLines')} • ${player.apm} ${t('statApm')}`;
+            if (gameState.engine && gameState.engine.mode === 'versus') {
+                statsEl.textContent += ` • ${formatNumber(attack)} ${t('statAttack')}`;
+            }
+        }
     }
 
     updateTeamStats() {
-        const { score, lines } = gameState.sharedStats;
+        const { score, lines, level } = gameState.sharedStats;
         const scoreEl = document.getElementById('team-score');
         const linesEl = document.getElementById('team-lines');
+        const levelEl = document.getElementById('team-level');
+
+        const engine = gameState.engine;
+        let goalLines = '';
+        if (engine && engine.goal === 'sprint') {
+            goalLines = `/${formatNumber(engine.goalLines)}`;
+        } else if (engine && engine.objective && engine.objective.type === 'lines') {
+            goalLines = `/${formatNumber(engine.objective.lines)}`;
+        }
 
         if (scoreEl) scoreEl.textContent = formatNumber(score);
-        if (linesEl) linesEl.textContent = `${formatNumber(lines)} ${t('lines')}`;
+        if (linesEl) linesEl.textContent = `${formatNumber(lines)}${goalLines} ${t('lines')}`;
+        if (levelEl) levelEl.textContent = `${t('level')} ${level}`;
 
         this.updateComboIndicator();
         this.scheduleBoardScaleUpdate();
     }
 
+    // Sprint counts up, ultra counts down, puzzles show their objective and the pieces left; hidden in games without a goal
+    updateGoalTimer() {
+        const timer = document.getElementById('goal-timer');
+        if (!timer) return;
+
+        const engine = gameState.engine;
+        if (!engine || !engine.goal) {
+            timer.classList.remove('visible');
+            return;
+        }
+
+        timer.classList.add('visible');
+        const label = document.getElementById('goal-timer-label');
+        const value = document.getElementById('goal-timer-value');
+        if (engine.goal === 'puzzle') {
+            if (label) label.textContent = getObjectiveLabel(engine.objective);
+            if (value) value.textContent = `${formatNumber(engine.piecesLeft)} ${t('piecesLeft')}`;
+            return;
+        }
+        if (label) label.textContent = t(engine.goal === 'ultra' ? 'timeLeft' : 'time');
+        if (value) value.textContent = formatTime(engine.goalClock);
+    }
+
     resetTeamStatsDisplay() {
         const scoreEl = document.getElementById('team-score');
         const linesEl = document.getElementById('team-lines');
+        const levelEl = document.getElementById('team-level');
 
         if (scoreEl) scoreEl.textContent = '0';
         if (linesEl) linesEl.textContent = `0 ${t('lines')}`;
+        if (levelEl) levelEl.textContent = `${t('level')} ${gameState.engine ? gameState.engine.startLevel : 1}`;
 
         if (this.comboIndicator) {
             this.comboIndicator.classList.remove('visible');
@@ -1666,19 +2644,20 @@ class UIManager {
     }
 
     updateTeamStatsIfNeeded() {
-        if (!gameState.sharedStatsDirty) {
+        const engine = gameState.engine;
+        if (!engine || !engine.sharedStatsDirty) {
             return;
         }
 
         this.updateTeamStats();
 
-        const detail = gameState.sharedStats.lastClearDetail;
+        const detail = engine.sharedStats.lastClearDetail;
         if (detail) {
             this.showLineClearCelebration(detail);
-            gameState.sharedStats.lastClearDetail = null;
+            engine.sharedStats.lastClearDetail = null;
         }
 
-        gameState.sharedStatsDirty = false;
+        engine.sharedStatsDirty = false;
     }
 
     updateComboIndicator() {
@@ -1691,8 +2670,15 @@ class UIManager {
                 this.comboLabel.textContent = `${t('comboX')}${chain}`;
             }
             if (this.comboBonus) {
-                const bonusPercent = (chain - 1) * 10;
-                this.comboBonus.textContent = `+${bonusPercent}% ${t('streak')}`;
+                const engine = gameState.engine;
+                if (engine && engine.scoring === 'guideline') {
+                    // Points the next clear adds for keeping the combo going
+                    const bonus = COMBO_SCORE * chain * gameState.sharedStats.level;
+                    this.comboBonus.textContent = `+${formatNumber(bonus)} ${t('pts')}`;
+                } else {
+                    const bonusPercent = (chain - 1) * 10;
+                    this.comboBonus.textContent = `+${bonusPercent}% ${t('streak')}`;
+                }
             }
 
             if (chain !== this.lastComboChain) {
@@ -1729,17 +2715,28 @@ class UIManager {
         this.scoreCard.classList.add('score-card--pulse');
     }
 
-    getLineClearTitle(linesCleared) {
-        switch (linesCleared) {
+    getLineClearTitle(detail) {
+        const spin = detail.tSpin ? t(detail.tSpin === 'mini' ? 'tSpinMini' : 'tSpin') : '';
+        if (!detail.linesCleared) {
+            return spin;
+        }
+
+        let lines;
+        switch (detail.linesCleared) {
             case 1:
-                return t('lineBreak');
+                lines = t('lineBreak');
+                break;
             case 2:
-                return t('doubleBreak');
+                lines = t('doubleBreak');
+                break;
             case 3:
-                return t('tripleBreak');
+                lines = t('tripleBreak');
+                break;
             default:
-                return t('megaClear');
+                lines = t('megaClear');
+                break;
         }
+        return spin ? `${spin} · ${lines}` : lines;
     }
 
     showLineClearCelebration(detail) {
@@ -1752,7 +2749,7 @@ class UIManager {
 
         const title = document.createElement('div');
         title.className = 'clear-event__title';
-        title.textContent = this.getLineClearTitle(detail.linesCleared);
+        title.textContent = this.getLineClearTitle(detail);
         entry.appendChild(title);
 
         const points = document.createElement('div');
@@ -1760,12 +2757,23 @@ class UIManager {
         points.textContent = `+${formatNumber(detail.totalScore)} ${t('pts')}`;
         entry.appendChild(points);
 
-        const perLine = document.createElement('div');
-        perLine.className = 'clear-event__per-line';
-        perLine.textContent = `${formatNumber(detail.perLineScore)} ${t('ptsPerLine')}`;
-        entry.appendChild(perLine);
+        if (detail.linesCleared) {
+            const perLine = document.createElement('div');
+            perLine.className = 'clear-event__per-line';
+            perLine.textContent = `${formatNumber(detail.perLineScore)} ${t('ptsPerLine')}`;
+            entry.appendChild(perLine);
+        }
 
         const bonusChips = [];
+        if (detail.backToBack) {
+            bonusChips.push(t('backToBack'));
+        }
+        if (detail.perfectClear) {
+            bonusChips.push(t('perfectClear'));
+        }
+        if (detail.comboBonus > 0) {
+            bonusChips.push(`${t('comboPoints')} +${formatNumber(detail.comboBonus)}`);
+        }
         if (detail.multiMultiplier > 1) {
             bonusChips.push(`${t('multiBonus')} +${detail.multiBonusPercent}%`);
         }
@@ -1832,13 +2840,19 @@ class UIManager {
     }
 
     updateBoardScale() {
-        const canvas = document.getElementById('game-canvas');
-        const boardWrapper = document.getElementById('shared-board');
-        if (!canvas || !boardWrapper) {
+        // Versus boards are scaled together so they fit side by side
+        const versusWrapper = document.getElementById('versus-boards');
+        const boardWrapper = versusWrapper || document.getElementById('shared-board');
+        const canvases = versusWrapper
+            ? Array.from(versusWrapper.querySelectorAll('canvas'))
+            : [document.getElementById('game-canvas')].filter(Boolean);
+        if (!canvases.length || !boardWrapper) {
             return;
         }
 
-        const boardWidth = canvas.width;
+        const canvas = canvases[0];
+        const boardWidth = canvases.reduce((sum, c) => sum + c.width, 0) +
+            (versusWrapper ? canvases.length * VERSUS_BOARD_EXTRA_WIDTH : 0);
         const boardHeight = canvas.height;
 
         const parentRect = boardWrapper.parentElement ? boardWrapper.parentElement.getBoundingClientRect() : null;
@@ -1898,16 +2912,19 @@ class UIManager {
         const displayHeight = Math.max(1, Math.floor(boardHeight * scale));
 
         boardWrapper.style.setProperty('--board-max-width', `${displayWidth}px`);
-        canvas.style.width = `${displayWidth}px`;
-        canvas.style.height = `${displayHeight}px`;
-        canvas.style.maxWidth = `${boardWidth}px`;
-        canvas.style.maxHeight = `${boardHeight}px`;
+        canvases.forEach(c => {
+            c.style.width = `${Math.max(1, Math.floor(c.width * scale))}px`;
+            c.style.height = `${displayHeight}px`;
+            c.style.maxWidth = `${c.width}px`;
+            c.style.maxHeight = `${c.height}px`;
+        });
     }
 
     getActionForCode(player, code) {
-        if (!player || !player.keys) return null;
+        const keys = player ? gameState.settings.keys[player.id] : null;
+        if (!keys) return null;
 
-        return Object.keys(player.keys).find(action => player.keys[action] === code) || null;
+        return Object.keys(keys).find(action => keys[action] === code) || null;
     }
 
     getInputState(playerId, action) {
@@ -1925,7 +2942,7 @@ class UIManager {
             state.active = true;
             state.heldTime = 0;
             state.hasFiredInitial = true;
-            player.move(action === 'left' ? -1 : 1);
+            this.applyPlayerAction(player, 'move', action === 'left' ? -1 : 1);
             moved = true;
         }
 
@@ -1970,14 +2987,14 @@ class UIManager {
             state.heldTime += deltaTime;
 
             if (!state.hasFiredInitial) {
-                player.move(direction === 'left' ? -1 : 1);
+                this.applyPlayerAction(player, 'move', direction === 'left' ? -1 : 1);
                 state.hasFiredInitial = true;
                 state.heldTime = 0;
                 return;
             }
 
             if (state.heldTime >= moveRepeat) {
-                player.move(direction === 'left' ? -1 : 1);
+                this.applyPlayerAction(player, 'move', direction === 'left' ? -1 : 1);
                 state.heldTime = Math.max(0, state.heldTime - moveRepeat);
             }
         });
@@ -1995,7 +3012,7 @@ class UIManager {
 
         const dropInterval = downState.hasFiredInitial ? this.softDropRepeatInterval : this.softDropInitialDelay;
         if (!downState.hasFiredInitial || downState.heldTime >= dropInterval) {
-            player.drop();
+            this.applyPlayerAction(player, 'drop');
             downState.hasFiredInitial = true;
             downState.heldTime = 0;
         }
@@ -2005,6 +3022,11 @@ class UIManager {
         const code = normalizeKeyCode(e.code);
         const isGameActive = this.screens.gameScreen.classList.contains('active') && gameState.players.length;
 
+        if (isGameActive && this.replayPlayer) {
+            this.handleReplayKey(code, e);
+            return;
+        }
+
         if (code === 'Escape') {
             if (isGameActive && !gameState.isGameOver) {
                 this.togglePause();
@@ -2045,11 +3067,18 @@ class UIManager {
                     this.activateSoftDrop(player);
                     break;
                 case 'rotate':
-                    player.rotate();
+                case 'rotateCCW':
+                case 'rotate180':
+                    this.applyPlayerAction(player, action);
                     boardNeedsRedraw = true;
                     break;
+                case 'hold':
+                    this.applyPlayerAction(player, action);
+                    boardNeedsRedraw = true;
+                    infoUpdates.add(player);
+                    break;
                 case 'drop':
-                    player.hardDrop();
+                    this.applyPlayerAction(player, 'hardDrop');
                     boardNeedsRedraw = true;
                     infoUpdates.add(player);
                     break;
@@ -2066,7 +3095,7 @@ class UIManager {
 
         infoUpdates.forEach(player => {
             this.updatePlayerInfo(player);
-            this.drawNextPiece(player);
+            this.drawPiecePreviews(player);
         });
 
         if (boardNeedsRedraw) {
@@ -2104,6 +3133,10 @@ class UIManager {
     }
 
     togglePause() {
+        if (this.replayPlayer) {
+            this.toggleReplayPlayback();
+            return;
+        }
         if (gameState.isGameOver) return;
 
         gameState.isPaused = !gameState.isPaused;
@@ -2119,20 +3152,49 @@ class UIManager {
     restart() {
         this.hideModal('pause');
         this.hideModal('gameOver');
-        this.startGame(gameState.numPlayers);
+
+        // Online rematches go through the room's ready check
+        if (this.isOnlineMode) {
+            this.returnToRoom();
+            return;
+        }
+
+        this.startGame(gameState.numPlayers, this.lastGameOptions);
+    }
+
+    returnToRoom() {
+        gameState.isPaused = false;
+        gameState.engine = null;
+        gameState.inputStates = new Map();
+        this.isOnlineMode = false;
+        this.isSpectating = false;
+        this.networkPlayers = {};
+        this.localPlayerIndex = -1;
+
+        this.showScreen('onlineLobby');
+        if (networkManager.currentRoom) {
+            this.showRoomView(networkManager.currentRoom);
+        } else {
+            this.hideRoomView();
+        }
     }
 
     quitToMenu() {
         this.hideModal('pause');
         this.hideModal('gameOver');
         gameState.isPaused = false;
-        gameState.isGameOver = false;
-        gameState.players = [];
+        gameState.engine = null;
         gameState.inputStates = new Map();
-        resetSharedStats();
+
+        if ((this.isOnlineMode || this.replayFromRoom) && networkManager.currentRoom) {
+            networkManager.leaveRoom();
+        }
         
-        // Reset online mode flags
+        // Reset online mode and replay flags
+        this.replayPlayer = null;
+        this.replayFromRoom = false;
         this.isOnlineMode = false;
+        this.isSpectating = false;
         this.networkPlayers = {};
         this.localPlayerIndex = -1;
         
@@ -2149,32 +3211,1035 @@ class UIManager {
     showGameOver() {
         const scoresDiv = document.getElementById('final-scores');
         scoresDiv.innerHTML = '';
+        this.recordGame(gameState.engine);
+        if (this.recorder) {
+            this.storeReplay(this.recorder.getReplay());
+            this.recorder = null;
+        }
+        // Online replays arrive from the server just after the final snapshot
+        this.updateWatchReplayButton();
 
         const { score, level, lines } = gameState.sharedStats;
+        const engine = gameState.engine;
+        const seed = engine ? engine.seed : '';
+        const versus = Boolean(engine && engine.mode === 'versus');
+        const winner = versus && engine.winnerId !== null ? engine.getPlayer(engine.winnerId) : null;
+
+        const title = document.getElementById('gameover-title');
+        if (title) {
+            title.textContent = t(engine && engine.goalReached ? 'finished' : 'gameOver');
+        }
+
+        if (engine && engine.goal === 'puzzle') {
+            if (title) title.textContent = t(engine.goalReached ? 'puzzleSolved' : 'puzzleFailed');
+            this.showPuzzleResult(scoresDiv, engine);
+            this.showModal('gameOver');
+            return;
+        }
+
+        if (engine && engine.goal) {
+            this.showGoalResult(scoresDiv, engine);
+            this.showModal('gameOver');
+            return;
+        }
 
         const teamSummary = document.createElement('div');
         teamSummary.className = 'player-score team-total';
-        teamSummary.innerHTML = `
-            <strong>Team Score:</strong> ${score} points<br>
-            <span>Level ${level} • ${lines} lines cleared</span>
-        `;
+        if (versus) {
+            teamSummary.innerHTML = `
+                <strong>${winner ? `🏆 Player ${winner.id + 1} ${t('wins')}` : t('noWinner')}</strong><br>
+                <span>${t('seed')}: ${seed}</span>
+            `;
+        } else {
+            teamSummary.innerHTML = `
+                <strong>Team Score:</strong> ${score} points<br>
+                <span>Level ${level} • ${lines} lines cleared</span><br>
+                <span>${t('seed')}: ${seed}</span>
+            `;
+        }
         scoresDiv.appendChild(teamSummary);
 
+        // The player with the most points (then lines) gets credit for carrying the run
+        const ranked = gameState.players.slice().sort((a, b) =>
+            (b.stats.score - a.stats.score) || (b.stats.lines - a.stats.lines));
+        const top = !versus && gameState.players.length > 1 && ranked[0].stats.score > 0 ? ranked[0] : null;
+
         gameState.players.forEach(player => {
+            const stats = player.stats;
             const scoreDiv = document.createElement('div');
             scoreDiv.className = 'player-score';
             scoreDiv.style.background = player.color;
             scoreDiv.style.color = 'white';
-            const status = player.gameOver ? 'Eliminated' : 'Survived';
-            scoreDiv.innerHTML = `Player ${player.id + 1}: ${status}`;
+            const status = player === winner ? `🏆 ${t('winner')}` : (player.gameOver ? 'Eliminated' : 'Survived');
+            const versusStats = versus
+                ? ` • ${formatNumber(stats.attack)} ${t('statAttack')} • ${formatNumber(stats.garbageReceived)} ${t('statGarbage')}`
+                : '';
+            scoreDiv.innerHTML = `
+                Player ${player.id + 1}: ${status}${player === top ? ` ★ ${t('topContributor')}` : ''}<br>
+                <span class="player-score__stats">
+                    ${formatNumber(stats.score)} ${t('statPoints')} •
+                    ${formatNumber(stats.pieces)} ${t('statPieces')} •
+                    ${formatNumber(stats.lines)} ${t('statLines')} •
+                    ${formatNumber(stats.cellsCleared)} ${t('statCells')} •
+                    ${formatNumber(stats.dropPoints)} ${t('statDropPoints')} •
+                    ${formatNumber(stats.holes)} ${t('statHoles')} •
+                    ${player.apm} ${t('statApm')}${versusStats}
+                </span>
+            `;
             scoresDiv.appendChild(scoreDiv);
         });
 
         this.showModal('gameOver');
     }
 
+    // Adds the finished game to the leaderboard; unfinished sprints have no time to rank and puzzles keep their own progress
+    recordGame(engine) {
+        if (!engine || !engine.started || engine.goal === 'puzzle' || (engine.goal === 'sprint' && !engine.goalReached)) return;
+
+        const winner = engine.mode === 'versus' && engine.winnerId !== null ? engine.getPlayer(engine.winnerId) : null;
+        const nameOf = player => this.getPlayerName(player);
+        const stats = this.getGameResult(engine);
+
+        const entry = normalizeLeaderboardEntry({
+            mode: getLeaderboardMode(engine),
+            players: engine.numPlayers,
+            score: stats.score,
+            lines: stats.lines,
+            level: stats.level,
+            duration: engine.frame * FRAME_DURATION,
+            date: new Date().toISOString(),
+            team: engine.players.map(player => ({ name: nameOf(player), color: player.color })),
+            winner: winner ? nameOf(winner) : null,
+            seed: engine.seed
+        });
+        if (entry) {
+            addLeaderboardEntries([entry]);
+        }
+    }
+
+    getPlayerName(player) {
+        return (this.playerNames && this.playerNames[player.id]) || `Player ${player.id + 1}`;
+    }
+
+    // Versus has no team total; the winner's (or best) result stands for the game
+    getGameResult(engine) {
+        if (engine.mode !== 'versus') return engine.sharedStats;
+        const winner = engine.winnerId !== null ? engine.getPlayer(engine.winnerId) : null;
+        return winner || engine.players.slice().sort((a, b) => b.score - a.score)[0];
+    }
+
+    showLeaderboard() {
+        const modeFilter = document.getElementById('leaderboard-mode-filter');
+        const modes = ['marathon', 'versus', ...SPRINT_LINE_OPTIONS.map(lines => `sprint-${lines}`), 'ultra'];
+        loadLeaderboard().forEach(entry => {
+            if (!modes.includes(entry.mode)) modes.push(entry.mode);
+        });
+        const selectedMode = modeFilter.value;
+        modeFilter.innerHTML = `<option value="">${t('allModes')}</option>`;
+        modes.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = getLeaderboardModeLabel(mode);
+            modeFilter.appendChild(option);
+        });
+        modeFilter.value = modes.includes(selectedMode) ? selectedMode : '';
+
+        const playersFilter = document.getElementById('leaderboard-players-filter');
+        const selectedPlayers = playersFilter.value;
+        playersFilter.innerHTML = `<option value="">${t('anyPlayerCount')}</option>`;
+        for (let count = 1; count <= 4; count++) {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = count;
+            playersFilter.appendChild(option);
+        }
+        playersFilter.value = selectedPlayers;
+
+        document.getElementById('leaderboard-status').textContent = '';
+        this.renderLeaderboard();
+        this.showScreen('leaderboard');
+    }
+
+    renderLeaderboard() {
+        const container = document.getElementById('leaderboard-table');
+        if (!container) return;
+
+        const mode = document.getElementById('leaderboard-mode-filter').value;
+        const players = Number(document.getElementById('leaderboard-players-filter').value) || null;
+        const entries = loadLeaderboard()
+            .filter(entry => (!mode || entry.mode === mode) && (!players || entry.players === players))
+            .sort((a, b) => a.mode === b.mode ? compareLeaderboardEntries(a, b) : b.score - a.score);
+
+        container.innerHTML = '';
+        if (!entries.length) {
+            const empty = document.createElement('p');
+            empty.className = 'leaderboard-empty';
+            empty.textContent = t('leaderboardEmpty');
+            container.appendChild(empty);
+            return;
+        }
+
+        // Names come from imported files too, so cells are filled as text
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        ['rankColumn', 'mode', 'scoreColumn', 'linesColumn', 'levelColumn', 'timeColumn', 'dateColumn', 'teamColumn']
+            .forEach(key => {
+                const th = document.createElement('th');
+                th.textContent = t(key);
+                header.appendChild(th);
+            });
+
+        entries.forEach((entry, index) => {
+            const row = table.insertRow();
+            [
+                index + 1,
+                `${getLeaderboardModeLabel(entry.mode)} • ${entry.players}P`,
+                formatNumber(entry.score),
+                formatNumber(entry.lines),
+                entry.level,
+                formatTime(entry.duration),
+                new Date(entry.date).toLocaleDateString()
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            const teamCell = row.insertCell();
+            teamCell.className = 'leaderboard-team';
+            entry.team.forEach(member => {
+                const name = document.createElement('span');
+                name.className = 'leaderboard-member';
+                name.style.setProperty('--player-color', member.color);
+                name.textContent = `${member.name === entry.winner ? '🏆 ' : ''}${member.name}`;
+                teamCell.appendChild(name);
+            });
+        });
+        container.appendChild(table);
+    }
+
+    exportLeaderboard() {
+        const data = {
+            version: LEADERBOARD_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries: loadLeaderboard()
+        };
+        downloadFile(`blockies-leaderboard-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2));
+    }
+
+    // Accepts an exported file ({ version, entries }) or a bare list of entries; invalid entries are skipped
+    async importLeaderboard(file) {
+        const status = document.getElementById('leaderboard-status');
+        try {
+            const parsed = JSON.parse(await file.text());
+            const list = Array.isArray(parsed) ? parsed : (parsed && parsed.entries);
+            if (!Array.isArray(list)) {
+                throw new Error('No entries');
+            }
+
+            const added = addLeaderboardEntries(list.map(normalizeLeaderboardEntry).filter(Boolean));
+            this.showLeaderboard();
+            status.textContent = `${t('leaderboardImported')} ${added}`;
+        } catch (error) {
+            status.textContent = t('leaderboardImportFailed');
+        }
+    }
+
+    // Labels the replay of the game that just ended, saves it and offers it on the game over screen
+    storeReplay(replay) {
+        const engine = gameState.engine;
+        if (!engine || !replay) return;
+
+        const result = this.getGameResult(engine);
+        replay.meta = {
+            ...replay.meta,
+            id: createReplayId(),
+            date: new Date().toISOString(),
+            mode: getLeaderboardMode(engine),
+            names: engine.players.map(player => this.getPlayerName(player)),
+            score: result.score,
+            lines: result.lines
+        };
+        saveReplay(replay);
+        this.lastReplay = replay;
+        this.updateWatchReplayButton();
+    }
+
+    updateWatchReplayButton() {
+        ['watch-replay-btn', 'export-replay-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !this.lastReplay;
+            }
+        });
+    }
+
+    exportReplay(replay) {
+        downloadFile(`blockies-replay-${replay.meta.mode}-${replay.meta.date.slice(0, 10)}.json`, JSON.stringify(encodeReplay(replay)));
+    }
+
+    // Files dropped on the main menu or picked on the replays screen are checked, saved and played
+    async importReplayFile(file) {
+        let data = null;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            data = null;
+        }
+
+        const problem = validateReplayFile(data);
+        if (problem) {
+            this.showStyledMessage(t('replayImportFailed'), t(REPLAY_ERROR_LABELS[problem]), 'error');
+            return;
+        }
+
+        const replay = normalizeReplayMeta(decodeReplay(data));
+        saveReplay(replay);
+        this.startReplay(replay);
+    }
+
+    initReplayDrop() {
+        const menu = this.screens.mainMenu;
+        const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+        menu.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            menu.classList.add('drop-active');
+        });
+        menu.addEventListener('dragleave', (e) => {
+            if (!menu.contains(e.relatedTarget)) {
+                menu.classList.remove('drop-active');
+            }
+        });
+        menu.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            menu.classList.remove('drop-active');
+            if (e.dataTransfer.files[0]) {
+                this.importReplayFile(e.dataTransfer.files[0]);
+            }
+        });
+    }
+
+    showReplays() {
+        this.renderReplays();
+        this.showScreen('replays');
+    }
+
+    renderReplays() {
+        const container = document.getElementById('replays-list');
+        if (!container) return;
+
+        const replays = loadReplays();
+        container.innerHTML = '';
+        if (!replays.length) {
+            const empty = document.createElement('p');
+            empty.className = 'leaderboard-empty';
+            empty.textContent = t('replaysEmpty');
+            container.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        ['mode', 'scoreColumn', 'linesColumn', 'timeColumn', 'dateColumn', 'teamColumn', '']
+            .forEach(key => {
+                const th = document.createElement('th');
+                th.textContent = key ? t(key) : '';
+                header.appendChild(th);
+            });
+
+        replays.forEach(replay => {
+            const meta = replay.meta;
+            const row = table.insertRow();
+            [
+                `${getLeaderboardModeLabel(meta.mode)} • ${replay.options.numPlayers}P`,
+                formatNumber(meta.score),
+                formatNumber(meta.lines),
+                formatTime(replay.frames * FRAME_DURATION),
+                new Date(meta.date).toLocaleDateString()
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            const teamCell = row.insertCell();
+            teamCell.className = 'leaderboard-team';
+            meta.names.forEach((playerName, index) => {
+                const name = document.createElement('span');
+                name.className = 'leaderboard-member';
+                name.style.setProperty('--player-color', replay.options.colors[index]);
+                name.textContent = playerName;
+                teamCell.appendChild(name);
+            });
+
+            const actions = row.insertCell();
+            actions.className = 'replay-actions';
+            const watch = document.createElement('button');
+            watch.className = 'btn btn-primary';
+            watch.textContent = t('watchReplay');
+            watch.addEventListener('click', () => this.startReplay(replay));
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-secondary';
+            remove.textContent = t('deleteReplay');
+            remove.addEventListener('click', () => {
+                deleteReplay(meta.id);
+                this.renderReplays();
+            });
+            const exportButton = document.createElement('button');
+            exportButton.className = 'btn btn-secondary';
+            exportButton.textContent = t('exportReplay');
+            exportButton.addEventListener('click', () => this.exportReplay(replay));
+            actions.appendChild(watch);
+            actions.appendChild(exportButton);
+            actions.appendChild(remove);
+        });
+        container.appendChild(table);
+    }
+
+    initReplayControls() {
+        const speedSelect = document.getElementById('replay-speed');
+        REPLAY_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            speedSelect.appendChild(option);
+        });
+        speedSelect.value = 1;
+        speedSelect.addEventListener('change', () => {
+            this.replaySpeed = Number(speedSelect.value) || 1;
+        });
+
+        document.getElementById('replay-play-btn').addEventListener('click', () => this.toggleReplayPlayback());
+        document.getElementById('replay-back-btn').addEventListener('click', () => this.stepReplay(-1));
+        document.getElementById('replay-forward-btn').addEventListener('click', () => this.stepReplay(1));
+        document.getElementById('replay-seek').addEventListener('input', (e) => {
+            this.seekReplay(Number(e.target.value));
+        });
+        document.getElementById('replay-exit-btn').addEventListener('click', () => this.exitReplay());
+    }
+
+    // Plays a replay through a fresh engine; the board, previews and stats are the regular game view
+    startReplay(replay) {
+        const player = new ReplayPlayer(replay);
+        this.replayPlayer = player;
+        this.replayPlaying = true;
+        this.replaySpeed = Number(document.getElementById('replay-speed').value) || 1;
+        this.replayAccumulator = 0;
+        this.recorder = null;
+        // Watching the replay of an online game keeps the room; leaving the viewer goes back to it
+        this.replayFromRoom = this.isOnlineMode && Boolean(networkManager.currentRoom);
+        this.isOnlineMode = false;
+        this.isSpectating = false;
+        this.botPlayers = new Set();
+        this.playerNames = replay.meta && Array.isArray(replay.meta.names) ? replay.meta.names : null;
+
+        gameState.isPaused = false;
+        gameState.numPlayers = player.engine.numPlayers;
+        gameState.engine = player.engine;
+        gameState.inputStates = new Map();
+        gameState.lastTime = 0;
+
+        const seek = document.getElementById('replay-seek');
+        seek.max = player.totalFrames;
+
+        this.buildGameView(player.engine);
+        this.showScreen('gameScreen');
+        this.renderReplay();
+        requestAnimationFrame((time) => this.replayLoop(time, player));
+    }
+
+    replayLoop(time, player) {
+        // Leaving the viewer or starting another replay ends this loop
+        if (this.replayPlayer !== player) {
+            return;
+        }
+
+        const deltaTime = time - (gameState.lastTime || time);
+        gameState.lastTime = time;
+
+        if (this.replayPlaying) {
+            this.replayAccumulator += deltaTime * this.replaySpeed;
+            let steps = 0;
+            while (this.replayAccumulator >= FRAME_DURATION && steps < MAX_REPLAY_FRAMES_PER_UPDATE) {
+                this.replayAccumulator -= FRAME_DURATION;
+                player.step();
+                steps++;
+            }
+            if (steps === MAX_REPLAY_FRAMES_PER_UPDATE) {
+                this.replayAccumulator = 0;
+            }
+            if (player.finished) {
+                this.replayPlaying = false;
+            }
+            this.renderReplay();
+        }
+
+        requestAnimationFrame((time) => this.replayLoop(time, player));
+    }
+
+    toggleReplayPlayback() {
+        const player = this.replayPlayer;
+        if (!player) return;
+
+        // Playing a finished replay again starts it over
+        if (!this.replayPlaying && player.finished) {
+            player.reset();
+        }
+        this.replayPlaying = !this.replayPlaying;
+        this.replayAccumulator = 0;
+        this.renderReplay();
+    }
+
+    stepReplay(frames) {
+        if (!this.replayPlayer) return;
+        this.replayPlaying = false;
+        this.seekReplay(this.replayPlayer.frame + frames);
+    }
+
+    seekReplay(frame) {
+        const player = this.replayPlayer;
+        if (!player) return;
+        player.seek(frame);
+        this.replayAccumulator = 0;
+        this.renderReplay();
+    }
+
+    // Seeking back builds a new engine, so the view follows whichever engine the player holds now
+    renderReplay() {
+        const player = this.replayPlayer;
+        if (!player) return;
+
+        gameState.engine = player.engine;
+        player.engine.players.forEach(p => {
+            this.updatePlayerInfo(p);
+            this.drawPiecePreviews(p);
+        });
+        this.drawBoard();
+        this.updateTeamStatsIfNeeded();
+        this.updateGoalTimer();
+
+        document.getElementById('replay-seek').value = player.frame;
+        document.getElementById('replay-time').textContent =
+            `${formatTime(player.frame * FRAME_DURATION)} / ${formatTime(player.totalFrames * FRAME_DURATION)}`;
+        document.getElementById('replay-play-btn').textContent = this.replayPlaying ? '⏸' : '▶';
+    }
+
+    handleReplayKey(code, e) {
+        switch (code) {
+            case 'Space':
+            case 'Escape':
+                this.toggleReplayPlayback();
+                break;
+            case 'ArrowLeft':
+                this.stepReplay(-1);
+                break;
+            case 'ArrowRight':
+                this.stepReplay(1);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    exitReplay() {
+        this.replayPlayer = null;
+        if (this.replayFromRoom && networkManager.currentRoom) {
+            this.replayFromRoom = false;
+            this.returnToRoom();
+            return;
+        }
+
+        gameState.engine = null;
+        gameState.inputStates = new Map();
+        this.showReplays();
+    }
+
+    // Finish screen for sprint and ultra: the result, the personal best and the splits against it
+    showGoalResult(container, engine) {
+        const sprint = engine.goal === 'sprint';
+        const { score, lines } = engine.sharedStats;
+        const result = engine.goalReached ? savePersonalBest(engine) : { previous: loadPersonalBests()[getPersonalBestKey(engine)] || null, improved: false };
+        const best = result.previous;
+        const finishTime = engine.splits.length ? engine.splits[engine.splits.length - 1].time : engine.goalClock;
+
+        const summary = document.createElement('div');
+        summary.className = 'player-score team-total';
+        const headline = sprint
+            ? `${t('sprint')} ${engine.goalLines}: ${engine.goalReached ? formatTime(finishTime) : t('sprintFailed')}`
+            : `${t('ultra')}: ${formatNumber(score)} ${t('statPoints')}`;
+        let bestLine = t('noPersonalBest');
+        if (result.improved) {
+            bestLine = `🏅 ${t('newPersonalBest')}`;
+        } else if (best) {
+            bestLine = `${t('personalBest')}: ${sprint ? formatTime(best.time) : `${formatNumber(best.score)} ${t('statPoints')}`}`;
+        }
+        summary.innerHTML = `
+            <strong>${headline}</strong><br>
+            <span>${formatNumber(lines)} ${t('statLines')} • ${formatNumber(score)} ${t('statPoints')}</span><br>
+            <span>${bestLine}</span><br>
+            <span>${t('seed')}: ${engine.seed}</span>
+        `;
+        container.appendChild(summary);
+
+        if (!engine.splits.length) return;
+
+        // Sprint splits compare times at each 10 lines, ultra splits compare scores every 30 seconds
+        const table = document.createElement('table');
+        table.className = 'splits-table';
+        const bestSplits = best && Array.isArray(best.splits) ? best.splits : [];
+        table.innerHTML = `<caption>${t('splits')}</caption>`;
+        engine.splits.forEach((split, index) => {
+            const reference = bestSplits[index];
+            const row = document.createElement('tr');
+            let delta = '';
+            if (reference && !result.improved) {
+                const diff = sprint ? split.time - reference.time : split.score - reference.score;
+                const sign = diff > 0 ? '+' : (diff < 0 ? '−' : '±');
+                delta = sprint ? `${sign}${formatTime(Math.abs(diff))}` : `${sign}${formatNumber(Math.abs(diff))}`;
+                row.classList.add((sprint ? diff <= 0 : diff >= 0) ? 'split--ahead' : 'split--behind');
+            }
+            row.innerHTML = sprint
+                ? `<td>${formatNumber(split.lines)} ${t('statLines')}</td><td>${formatTime(split.time)}</td><td>${delta}</td>`
+                : `<td>${formatTime(split.time)}</td><td>${formatNumber(split.score)} ${t('statPoints')}</td><td>${delta}</td>`;
+            table.appendChild(row);
+        });
+        container.appendChild(table);
+    }
+
+    // Finish screen for puzzles: solved or not, the pieces used and the saved progress
+    showPuzzleResult(container, engine) {
+        const puzzle = this.lastGameOptions.puzzle;
+        // Unsaved puzzles played from the editor have no id to keep progress under
+        const result = puzzle.id ? savePuzzleResult(puzzle.id, engine) : { previous: null, improved: false };
+        const pieces = engine.players.reduce((sum, player) => sum + player.stats.pieces, 0);
+        const outOfPieces = !engine.goalReached && engine.piecesLeft === 0;
+
+        let bestLine = '';
+        if (result.improved) {
+            bestLine = `🏅 ${t('newPersonalBest')}`;
+        } else if (result.previous && result.previous.solved) {
+            bestLine = `${t('puzzleBest')}: ${formatNumber(result.previous.bestPieces)} ${t('statPieces')}`;
+        }
+
+        const summary = document.createElement('div');
+        summary.className = 'player-score team-total';
+        summary.innerHTML = `
+            <strong></strong><br>
+            <span>${getObjectiveLabel(engine.objective)}</span><br>
+            <span>${formatNumber(pieces)} ${t('statPieces')} • ${formatNumber(engine.sharedStats.lines)} ${t('statLines')}</span>
+            ${bestLine ? `<br><span>${bestLine}</span>` : ''}
+        `;
+        // Imported puzzles name themselves, so the name is set as text
+        summary.querySelector('strong').textContent =
+            `${puzzle.name}: ${t(engine.goalReached ? 'puzzleSolved' : (outOfPieces ? 'puzzleOutOfPieces' : 'puzzleFailed'))}`;
+        container.appendChild(summary);
+    }
+
+    showPuzzles() {
+        this.renderPuzzles();
+        this.showScreen('puzzles');
+    }
+
+    // Built-in puzzles first, then imported ones, with each puzzle's progress
+    renderPuzzles() {
+        const container = document.getElementById('puzzles-list');
+        if (!container) return;
+
+        const builtIn = getBuiltInPuzzles();
+        const custom = loadCustomPuzzles();
+        const progress = loadPuzzleProgress();
+        const puzzles = [...builtIn, ...custom];
+        container.innerHTML = '';
+
+        const summary = document.getElementById('puzzles-progress');
+        if (summary) {
+            const solved = puzzles.filter(puzzle => progress[puzzle.id] && progress[puzzle.id].solved).length;
+            summary.textContent = `${t('puzzlesSolved')}: ${solved}/${puzzles.length}`;
+        }
+
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        ['puzzleColumn', 'objectiveColumn', 'playersColumn', 'progressColumn', '']
+            .forEach(key => {
+                const th = document.createElement('th');
+                th.textContent = key ? t(key) : '';
+                header.appendChild(th);
+            });
+
+        puzzles.forEach(puzzle => {
+            const row = table.insertRow();
+            const nameCell = row.insertCell();
+            nameCell.className = 'puzzle-name';
+            const name = document.createElement('strong');
+            name.textContent = puzzle.name;
+            nameCell.appendChild(name);
+            if (puzzle.description) {
+                const description = document.createElement('span');
+                description.textContent = puzzle.description;
+                nameCell.appendChild(description);
+            }
+
+            const entry = progress[puzzle.id];
+            let status = t('puzzleNotTried');
+            if (entry && entry.solved) {
+                status = `✓ ${formatNumber(entry.bestPieces)} ${t('statPieces')} • ${formatNumber(entry.attempts)} ${t('puzzleAttempts')}`;
+            } else if (entry) {
+                status = `${formatNumber(entry.attempts)} ${t('puzzleAttempts')}`;
+            }
+            [getObjectiveLabel(puzzle.objective), String(puzzle.players || 1), status].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+            if (entry && entry.solved) {
+                row.classList.add('puzzle--solved');
+            }
+
+            const actions = row.insertCell();
+            actions.className = 'replay-actions';
+            const play = document.createElement('button');
+            play.className = 'btn btn-primary';
+            play.textContent = t('playPuzzle');
+            play.addEventListener('click', () => this.startPuzzle(puzzle));
+            const exportButton = document.createElement('button');
+            exportButton.className = 'btn btn-secondary';
+            exportButton.textContent = t('exportPuzzle');
+            exportButton.addEventListener('click', () => this.exportPuzzle(puzzle));
+            const edit = document.createElement('button');
+            edit.className = 'btn btn-secondary';
+            edit.textContent = t('editPuzzle');
+            edit.addEventListener('click', () => this.showEditor(puzzle));
+            actions.appendChild(play);
+            actions.appendChild(edit);
+            actions.appendChild(exportButton);
+            if (custom.includes(puzzle)) {
+                const remove = document.createElement('button');
+                remove.className = 'btn btn-secondary';
+                remove.textContent = t('deletePuzzle');
+                remove.addEventListener('click', () => {
+                    deleteCustomPuzzle(puzzle.id);
+                    this.renderPuzzles();
+                });
+                actions.appendChild(remove);
+            }
+        });
+
+        container.appendChild(table);
+    }
+
+    startPuzzle(puzzle) {
+        this.startGame(puzzle.players || 1, { puzzle });
+    }
+
+    exportPuzzle(puzzle) {
+        downloadFile(`blockies-puzzle-${puzzle.id || 'custom'}.json`, JSON.stringify(puzzle, null, 2));
+    }
+
+    async importPuzzleFile(file) {
+        let data = null;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            data = null;
+        }
+
+        const problem = validatePuzzle(data);
+        if (problem) {
+            this.showStyledMessage(t('puzzleImportFailed'), t(PUZZLE_ERROR_LABELS[problem]), 'error');
+            return;
+        }
+
+        const puzzle = saveCustomPuzzle(data);
+        this.renderPuzzles();
+        this.showStyledMessage(t('puzzles'), `${t('puzzleImported')} ${puzzle.name}`, 'success');
+    }
+
+    initEditor() {
+        const boardEl = document.getElementById('editor-board');
+        // The canvas is replaced when the player count changes, so pointer events are handled on its container
+        boardEl.addEventListener('pointerdown', (e) => {
+            const cell = this.getEditorCell(e);
+            if (!cell) return;
+            e.preventDefault();
+            const { board, brush } = this.editor;
+            // A click on a cell already in the brush colour (or a right-click) erases; dragging keeps doing the same
+            this.editor.paintValue = e.button === 2 || board[cell.y][cell.x] === brush ? 0 : brush;
+            this.paintEditorCell(cell);
+        });
+        boardEl.addEventListener('pointermove', (e) => {
+            if (this.editor.paintValue === null) return;
+            const cell = this.getEditorCell(e);
+            if (cell) this.paintEditorCell(cell);
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            boardEl.addEventListener(type, () => {
+                this.editor.paintValue = null;
+            });
+        });
+        boardEl.addEventListener('contextmenu', e => e.preventDefault());
+
+        document.getElementById('editor-players').addEventListener('change', (e) => {
+            this.setEditorPlayers(Number(e.target.value));
+        });
+        document.getElementById('editor-name').addEventListener('input', (e) => {
+            this.editor.name = e.target.value;
+        });
+        document.getElementById('editor-description').addEventListener('input', (e) => {
+            this.editor.description = e.target.value;
+        });
+        const objectiveSelect = document.getElementById('editor-objective');
+        objectiveSelect.addEventListener('change', () => {
+            this.editor.objective.type = objectiveSelect.value;
+            this.updateEditorObjective();
+        });
+        document.getElementById('editor-lines').addEventListener('change', (e) => {
+            const lines = Math.max(1, Math.min(BOARD_HEIGHT, parseInt(e.target.value, 10) || 1));
+            this.editor.objective.lines = lines;
+            e.target.value = lines;
+        });
+
+        document.getElementById('editor-play-btn').addEventListener('click', () => this.playEditorBoard());
+        document.getElementById('editor-save-btn').addEventListener('click', () => this.saveEditorPuzzle());
+        document.getElementById('editor-export-btn').addEventListener('click', () => {
+            const puzzle = this.getCheckedEditorPuzzle();
+            if (puzzle) this.exportPuzzle(puzzle);
+        });
+        document.getElementById('editor-clear-btn').addEventListener('click', () => {
+            this.editor.board = createEmptyBoard(this.editor.board[0].length, BOARD_HEIGHT);
+            this.drawEditorBoard();
+        });
+        const loadInput = document.getElementById('editor-load-input');
+        document.getElementById('editor-load-btn').addEventListener('click', () => loadInput.click());
+        loadInput.addEventListener('change', () => {
+            if (loadInput.files && loadInput.files[0]) {
+                this.loadEditorFile(loadInput.files[0]);
+            }
+            loadInput.value = '';
+        });
+        document.getElementById('back-from-editor-btn').addEventListener('click', () => this.showPuzzles());
+    }
+
+    // Opens the editor on a puzzle, or on the board left from the last visit (an empty one the first time)
+    showEditor(puzzle = null) {
+        if (puzzle || !this.editor) {
+            const options = puzzle ? getPuzzleOptions(puzzle) : null;
+            const players = options ? options.numPlayers : 1;
+            this.editor = {
+                // Saving replaces the imported puzzle it was opened from; edited built-in puzzles are saved as new ones
+                id: puzzle && loadCustomPuzzles().some(saved => saved.id === puzzle.id) ? puzzle.id : null,
+                name: puzzle ? puzzle.name : t('editorUntitled'),
+                description: puzzle && puzzle.description ? puzzle.description : '',
+                players,
+                board: options ? options.board : createEmptyBoard(computeBoardWidth(players), BOARD_HEIGHT),
+                pieces: puzzle ? puzzle.pieces.slice() : [''],
+                objective: options ? { ...options.objective } : { type: 'clear', lines: 1 },
+                brush: GARBAGE_CELL,
+                paintValue: null // Cell value a drag paints while the pointer is down
+            };
+        }
+
+        this.renderEditor();
+        this.showScreen('editor');
+    }
+
+    renderEditor() {
+        const editor = this.editor;
+        document.getElementById('editor-name').value = editor.name;
+        document.getElementById('editor-description').value = editor.description;
+        document.getElementById('editor-players').value = String(editor.players);
+        document.getElementById('editor-lines').value = editor.objective.lines;
+
+        const objectiveSelect = document.getElementById('editor-objective');
+        objectiveSelect.innerHTML = '';
+        PUZZLE_OBJECTIVES.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = t(OBJECTIVE_TYPE_LABELS[type]);
+            objectiveSelect.appendChild(option);
+        });
+        objectiveSelect.value = editor.objective.type;
+        this.updateEditorObjective();
+
+        // Brushes: erase, grey and one per player colour
+        const brushes = document.getElementById('editor-brushes');
+        brushes.innerHTML = '';
+        const brushList = [
+            { value: 0, label: t('editorErase'), color: '#0a0515' },
+            { value: GARBAGE_CELL, label: t('editorGarbage'), color: GARBAGE_COLOR },
+            ...Array.from({ length: editor.players }, (_, i) => ({
+                value: i + 1,
+                label: `P${i + 1}`,
+                color: gameState.settings.colors[i] || DEFAULT_COLORS[i]
+            }))
+        ];
+        brushList.forEach(({ value, label, color }) => {
+            const button = document.createElement('button');
+            button.className = 'editor-brush';
+            button.classList.toggle('active', value === editor.brush);
+            button.style.setProperty('--brush-color', color);
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                editor.brush = value;
+                brushes.querySelectorAll('.editor-brush').forEach(el => el.classList.toggle('active', el === button));
+            });
+            brushes.appendChild(button);
+        });
+
+        // One piece queue per player
+        const piecesEl = document.getElementById('editor-pieces');
+        piecesEl.innerHTML = '';
+        editor.pieces.forEach((pieces, i) => {
+            const item = document.createElement('div');
+            item.className = 'rule-item';
+            item.innerHTML = `
+                <label for="editor-pieces-${i}">Player ${i + 1}</label>
+                <input type="text" id="editor-pieces-${i}" maxlength="${MAX_PUZZLE_PIECES}" spellcheck="false" autocomplete="off">
+            `;
+            const input = item.querySelector('input');
+            input.value = pieces;
+            input.addEventListener('input', () => {
+                const cleaned = Array.from(input.value.toUpperCase()).filter(type => SHAPE_KEYS.includes(type)).join('');
+                input.value = cleaned;
+                editor.pieces[i] = cleaned;
+            });
+            piecesEl.appendChild(item);
+        });
+
+        const boardEl = document.getElementById('editor-board');
+        boardEl.innerHTML = '';
+        boardEl.appendChild(this.createBoardCanvas('editor-canvas', { boardWidth: editor.board[0].length, boardHeight: BOARD_HEIGHT }));
+        this.drawEditorBoard();
+    }
+
+    updateEditorObjective() {
+        const linesItem = document.getElementById('editor-lines-item');
+        if (linesItem) {
+            linesItem.style.display = this.editor.objective.type === 'clear' ? 'none' : '';
+        }
+    }
+
+    drawEditorBoard() {
+        const colors = Array.from({ length: this.editor.players }, (_, i) => gameState.settings.colors[i] || DEFAULT_COLORS[i]);
+        this.drawBoardCanvas(document.getElementById('editor-canvas'), this.editor.board, [], colors);
+    }
+
+    getEditorCell(e) {
+        const canvas = document.getElementById('editor-canvas');
+        if (!canvas) return null;
+
+        const rect = canvas.getBoundingClientRect();
+        const board = this.editor.board;
+        if (!rect.width || !rect.height) return null;
+        const x = Math.floor((e.clientX - rect.left) / rect.width * board[0].length);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * board.length);
+        return x >= 0 && y >= 0 && x < board[0].length && y < board.length ? { x, y } : null;
+    }
+
+    paintEditorCell({ x, y }) {
+        const row = this.editor.board[y];
+        if (row[x] === this.editor.paintValue) return;
+        row[x] = this.editor.paintValue;
+        this.drawEditorBoard();
+    }
+
+    // The board keeps its left columns when it gets narrower; cells of players that are gone turn grey
+    setEditorPlayers(players) {
+        const editor = this.editor;
+        const width = computeBoardWidth(players);
+        editor.board = editor.board.map(row => Array.from({ length: width }, (_, x) => {
+            const cell = row[x] || 0;
+            return cell > players ? GARBAGE_CELL : cell;
+        }));
+        editor.pieces = Array.from({ length: players }, (_, i) => editor.pieces[i] || '');
+        editor.players = players;
+        if (editor.brush > players) {
+            editor.brush = GARBAGE_CELL;
+        }
+        this.renderEditor();
+    }
+
+    getEditorPuzzle() {
+        const editor = this.editor;
+        const puzzle = {
+            format: PUZZLE_FORMAT,
+            version: PUZZLE_VERSION,
+            name: editor.name.trim() || t('editorUntitled'),
+            players: editor.players,
+            board: encodePuzzleBoard(editor.board),
+            pieces: editor.pieces.slice(),
+            objective: editor.objective.type === 'clear'
+                ? { type: 'clear' }
+                : { type: editor.objective.type, lines: editor.objective.lines }
+        };
+        if (editor.id) puzzle.id = editor.id;
+        if (editor.description.trim()) puzzle.description = editor.description.trim();
+        return puzzle;
+    }
+
+    // The editor's puzzle, or null after telling the player what's wrong with it
+    getCheckedEditorPuzzle() {
+        const puzzle = this.getEditorPuzzle();
+        if (puzzle.pieces.some(pieces => !pieces)) {
+            this.showStyledMessage(t('editorTitle'), t('editorPiecesMissing'), 'error');
+            return null;
+        }
+        const problem = validatePuzzle(puzzle);
+        if (problem) {
+            this.showStyledMessage(t('editorTitle'), t(PUZZLE_ERROR_LABELS[problem]), 'error');
+            return null;
+        }
+        return puzzle;
+    }
+
+    // With every queue empty the painted board is played with random pieces, otherwise as a puzzle
+    playEditorBoard() {
+        const editor = this.editor;
+        if (editor.pieces.every(pieces => !pieces)) {
+            this.startGame(editor.players, { board: editor.board.map(row => row.slice()) });
+            return;
+        }
+
+        const puzzle = this.getCheckedEditorPuzzle();
+        if (puzzle) this.startPuzzle(puzzle);
+    }
+
+    saveEditorPuzzle() {
+        const puzzle = this.getCheckedEditorPuzzle();
+        if (!puzzle) return;
+
+        const stored = saveCustomPuzzle(puzzle);
+        this.editor.id = stored.id;
+        this.showStyledMessage(t('editorTitle'), `${t('editorSaved')} ${stored.name}`, 'success');
+    }
+
+    async loadEditorFile(file) {
+        let data = null;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            data = null;
+        }
+
+        const problem = validatePuzzle(data);
+        if (problem) {
+            this.showStyledMessage(t('puzzleImportFailed'), t(PUZZLE_ERROR_LABELS[problem]), 'error');
+            return;
+        }
+        this.showEditor(data);
+    }
+
     showCoopSetup() {
         this.showScreen('coopSetup');
+        const seedInput = document.getElementById('coop-seed-input');
+        if (seedInput) {
+            seedInput.value = gameState.settings.seed || '';
+        }
+        this.fillModeSelect(document.getElementById('coop-mode-select'), gameState.settings.mode);
+        this.fillAttackTableSelect(document.getElementById('coop-attack-table-select'), gameState.settings.attackTable);
+        this.fillRandomizerSelect(document.getElementById('coop-randomizer-select'), gameState.settings.randomizer);
+        this.fillLockDelaySelect(document.getElementById('coop-lock-delay-select'), gameState.settings.lockDelay);
+        this.fillGravitySelect(document.getElementById('coop-gravity-select'), gameState.settings.gravity);
+        this.fillStartLevelSelect(document.getElementById('coop-start-level-select'), gameState.settings.startLevel);
+        this.fillScoringSelect(document.getElementById('coop-scoring-select'), gameState.settings.scoring);
         this.updateCoopPlayerConfig(1); // Default to 1 player
     }
 
@@ -2197,50 +4262,47 @@ class UIManager {
             
             const color = gameState.settings.colors[i] || DEFAULT_COLORS[i];
             const keys = gameState.settings.keys[i] || DEFAULT_KEYS[i];
+            const bot = gameState.settings.bots[i];
+            card.classList.toggle('is-bot', Boolean(bot));
             
             card.innerHTML = `
                 <h4>
                     <span class="player-color-badge" style="background: ${color};"></span>
                     Player ${i + 1}
                 </h4>
+                <div class="color-picker">
+                    <label>${t('controlledBy')}:</label>
+                    <select id="coop-type-${i}">
+                        <option value="">${t('human')}</option>
+                        ${Object.keys(BOT_DIFFICULTIES).map(difficulty => `
+                        <option value="${difficulty}"${difficulty === bot ? ' selected' : ''}>${t(BOT_LABELS[difficulty])}</option>`).join('')}
+                    </select>
+                </div>
                 <div class="color-picker">
                     <label>Block Color:</label>
                     <input type="color" id="coop-color-${i}" value="${color}">
                 </div>
                 <div class="key-bindings">
+                    ${KEY_ACTIONS.map(action => `
                     <div class="key-binding">
-                        <label>Left:</label>
-                        <input type="text" id="coop-key-${i}-left" value="${formatKeyLabel(keys.left)}" 
-                               data-key-code="${keys.left}" readonly>
-                    </div>
-                    <div class="key-binding">
-                        <label>Right:</label>
-                        <input type="text" id="coop-key-${i}-right" value="${formatKeyLabel(keys.right)}" 
-                               data-key-code="${keys.right}" readonly>
-                    </div>
-                    <div class="key-binding">
-                        <label>Down:</label>
-                        <input type="text" id="coop-key-${i}-down" value="${formatKeyLabel(keys.down)}" 
-                               data-key-code="${keys.down}" readonly>
-                    </div>
-                    <div class="key-binding">
-                        <label>Rotate:</label>
-                        <input type="text" id="coop-key-${i}-rotate" value="${formatKeyLabel(keys.rotate)}" 
-                               data-key-code="${keys.rotate}" readonly>
-                    </div>
-                    <div class="key-binding">
-                        <label>Drop:</label>
-                        <input type="text" id="coop-key-${i}-drop" value="${formatKeyLabel(keys.drop)}" 
-                               data-key-code="${keys.drop}" readonly>
-                    </div>
+                        <label>${t(action)}:</label>
+                        <input type="text" id="coop-key-${i}-${action}" value="${formatKeyLabel(keys[action])}" 
+                               data-key-code="${keys[action]}" readonly>
+                    </div>`).join('')}
                 </div>
             `;
             
             container.appendChild(card);
 
+            // A CPU player needs no keys, so its bindings are hidden
+            const typeSelect = document.getElementById(`coop-type-${i}`);
+            typeSelect.addEventListener('change', () => {
+                gameState.settings.bots[i] = typeSelect.value || null;
+                card.classList.toggle('is-bot', Boolean(typeSelect.value));
+            });
+
             // Add event listener for key binding inputs
-            const actions = ['left', 'right', 'down', 'rotate', 'drop'];
-            actions.forEach(action => {
+            KEY_ACTIONS.forEach(action => {
                 const input = document.getElementById(`coop-key-${i}-${action}`);
                 if (input) {
                     input.addEventListener('click', () => this.captureKey(input, i, action));
@@ -2297,6 +4359,123 @@ class UIManager {
         document.addEventListener('keydown', handler);
     }
 
+    fillModeSelect(select, value) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        GAME_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = t(MODE_LABELS[mode]);
+            select.appendChild(option);
+        });
+        select.value = GAME_MODES.includes(value) ? value : DEFAULT_MODE;
+    }
+
+    fillAttackTableSelect(select, value) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.keys(ATTACK_TABLES).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = t(ATTACK_TABLE_LABELS[name]);
+            select.appendChild(option);
+        });
+        select.value = ATTACK_TABLES[value] ? value : DEFAULT_ATTACK_TABLE;
+    }
+
+    fillRandomizerSelect(select, value) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        RANDOMIZERS.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = t(RANDOMIZER_LABELS[type]);
+            select.appendChild(option);
+        });
+        select.value = RANDOMIZERS.includes(value) ? value : DEFAULT_RANDOMIZER;
+    }
+
+    fillGravitySelect(select, value, curves = GRAVITY_CURVES) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        curves.forEach(curve => {
+            const option = document.createElement('option');
+            option.value = curve;
+            option.textContent = t(GRAVITY_LABELS[curve]);
+            select.appendChild(option);
+        });
+        select.value = curves.includes(value) ? value : DEFAULT_GRAVITY;
+    }
+
+    fillScoringSelect(select, value) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        SCORING_MODELS.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model;
+            option.textContent = t(SCORING_LABELS[model]);
+            select.appendChild(option);
+        });
+        select.value = SCORING_MODELS.includes(value) ? value : DEFAULT_SCORING;
+    }
+
+    fillBoardHeightSelect(select, value) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        for (let height = MIN_BOARD_HEIGHT; height <= MAX_BOARD_HEIGHT; height++) {
+            const option = document.createElement('option');
+            option.value = height;
+            option.textContent = height;
+            select.appendChild(option);
+        }
+        select.value = Number.isInteger(value) && value >= MIN_BOARD_HEIGHT && value <= MAX_BOARD_HEIGHT ? value : BOARD_HEIGHT;
+    }
+
+    fillColumnsPerPlayerSelect(select, value) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        for (let columns = 0; columns <= MAX_COLUMNS_PER_PLAYER; columns++) {
+            const option = document.createElement('option');
+            option.value = columns;
+            option.textContent = `+${columns}`;
+            select.appendChild(option);
+        }
+        select.value = Number.isInteger(value) && value >= 0 && value <= MAX_COLUMNS_PER_PLAYER ? value : ADDITIONAL_COLUMNS_PER_PLAYER;
+    }
+
+    fillStartLevelSelect(select, value) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        for (let level = 1; level <= MAX_START_LEVEL; level++) {
+            const option = document.createElement('option');
+            option.value = level;
+            option.textContent = level;
+            select.appendChild(option);
+        }
+        select.value = normalizeStartLevel(value);
+    }
+
+    fillLockDelaySelect(select, value) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        LOCK_DELAY_OPTIONS.forEach(delay => {
+            const option = document.createElement('option');
+            option.value = delay;
+            option.textContent = delay === 0 ? t('lockDelayOff') : `${delay} ms`;
+            select.appendChild(option);
+        });
+        select.value = LOCK_DELAY_OPTIONS.includes(value) ? value : DEFAULT_LOCK_DELAY;
+    }
+
     startCoopGame() {
         // Get the selected player count
         const activeBtn = document.querySelector('.player-count-btn.active');
@@ -2309,12 +4488,52 @@ class UIManager {
                 gameState.settings.colors[i] = colorInput.value;
             }
         }
+
+        const seedInput = document.getElementById('coop-seed-input');
+        if (seedInput) {
+            gameState.settings.seed = seedInput.value.trim();
+        }
+
+        const modeSelect = document.getElementById('coop-mode-select');
+        if (modeSelect && GAME_MODES.includes(modeSelect.value)) {
+            gameState.settings.mode = modeSelect.value;
+        }
+
+        const attackTableSelect = document.getElementById('coop-attack-table-select');
+        if (attackTableSelect && ATTACK_TABLES[attackTableSelect.value]) {
+            gameState.settings.attackTable = attackTableSelect.value;
+        }
+
+        const randomizerSelect = document.getElementById('coop-randomizer-select');
+        if (randomizerSelect && RANDOMIZERS.includes(randomizerSelect.value)) {
+            gameState.settings.randomizer = randomizerSelect.value;
+        }
+
+        const lockDelaySelect = document.getElementById('coop-lock-delay-select');
+        if (lockDelaySelect) {
+            gameState.settings.lockDelay = Number(lockDelaySelect.value);
+        }
+
+        const gravitySelect = document.getElementById('coop-gravity-select');
+        if (gravitySelect && GRAVITY_CURVES.includes(gravitySelect.value)) {
+            gameState.settings.gravity = gravitySelect.value;
+        }
+
+        const startLevelSelect = document.getElementById('coop-start-level-select');
+        if (startLevelSelect) {
+            gameState.settings.startLevel = normalizeStartLevel(startLevelSelect.value);
+        }
+
+        const scoringSelect = document.getElementById('coop-scoring-select');
+        if (scoringSelect && SCORING_MODELS.includes(scoringSelect.value)) {
+            gameState.settings.scoring = scoringSelect.value;
+        }
         
         // Save to localStorage
         localStorage.setItem('blockies-settings', JSON.stringify(gameState.settings));
         
         // Start the game
-        this.startGame(numPlayers);
+        this.startGame(numPlayers, { bots: gameState.settings.bots.slice(0, numPlayers) });
     }
 
     showOnlineLobby() {
@@ -2330,11 +4549,21 @@ class UIManager {
             if (nicknameInput && nicknameInput.value.trim()) {
                 networkManager.setNickname(nicknameInput.value.trim());
             }
+
+            // Taking back a held seat comes first
+            if (this.pendingInviteCode && !networkManager.session) {
+                networkManager.joinRoomByCode(this.pendingInviteCode);
+            }
+            this.pendingInviteCode = null;
         });
 
         networkManager.on('disconnect', () => {
             this.updateConnectionStatus('disconnected');
             this.showRoomsList([]);
+            // The server holds the seat; NetworkManager asks for it back once it reconnects
+            if (networkManager.session) {
+                this.showStyledMessage(t('connectionLost'), t('reconnectingMessage'), 'warning');
+            }
         });
 
         networkManager.on('roomsList', (rooms) => {
@@ -2353,6 +4582,55 @@ class UIManager {
             this.updateRoomView(room);
         });
 
+        // A running game is resent with game-start right after this
+        networkManager.on('rejoined', (room) => {
+            this.showStyledMessage(t('reconnected'), t('rejoinedRoom'), 'success');
+            if (this.isOnlineMode && !room.gameStarted) {
+                this.hideModal('pause');
+                this.hideModal('gameOver');
+                this.returnToRoom();
+            } else {
+                this.showRoomView(room);
+            }
+        });
+
+        // Sent instead of joining when the password is missing or wrong; the same request is sent again with it
+        networkManager.on('passwordRequired', (data) => {
+            const password = prompt(t(data.wrong ? 'wrongRoomPassword' : 'enterRoomPassword'), '');
+            if (password === null) return;
+
+            const request = data.request || {};
+            if (data.spectate) {
+                networkManager.spectateRoom(request.roomId, password);
+            } else if (request.code !== undefined) {
+                networkManager.joinRoomByCode(request.code, password);
+            } else {
+                networkManager.joinRoom(request.roomId, password);
+            }
+        });
+
+        networkManager.on('kicked', () => {
+            this.showStyledMessage(t('kickedTitle'), t('kickedMessage'), 'warning');
+            if (this.isOnlineMode) {
+                this.hideModal('pause');
+                this.hideModal('gameOver');
+                this.returnToRoom();
+            } else {
+                this.hideRoomView();
+            }
+        });
+
+        networkManager.on('rejoinFailed', () => {
+            this.showStyledMessage(t('connectionLost'), t('seatLost'), 'error');
+            if (this.isOnlineMode) {
+                this.hideModal('pause');
+                this.hideModal('gameOver');
+                this.returnToRoom();
+            } else {
+                this.hideRoomView();
+            }
+        });
+
         networkManager.on('leftRoom', () => {
             this.hideRoomView();
         });
@@ -2409,14 +4687,24 @@ class UIManager {
             rooms.forEach(room => {
                 const roomDiv = document.createElement('div');
                 roomDiv.className = 'room-item';
+                const details = [`${room.players}/${room.maxPlayers} players`];
+                if (room.spectators) details.push(`👁 ${room.spectators} ${t('watching')}`);
+                if (room.gameStarted) details.push(t('inGame'));
+                if (room.locked) details.push(`🔒 ${t('roomLocked')}`);
+                // Full or running rooms can still be watched, locked ones can't be entered at all
+                const canJoin = !room.locked && !room.gameStarted && room.players < room.maxPlayers;
                 roomDiv.innerHTML = `
                     <div class="room-info">
-                        <h4>${room.name}</h4>
-                        <p>${room.players}/${room.maxPlayers} players</p>
+                        <h4>${room.hasPassword ? '🔑 ' : ''}${room.name}</h4>
+                        <p>${details.join(' · ')}</p>
+                    </div>
+                    <div class="room-actions">
+                        <button class="btn btn-secondary btn-small room-spectate-btn"${room.locked ? ' disabled' : ''}>${t('spectate')}</button>
+                        <button class="btn btn-primary btn-small room-join-btn"${canJoin ? '' : ' disabled'}>${t('join')}</button>
                     </div>
-                    <button class="btn btn-primary btn-small">Join</button>
                 `;
-                roomDiv.querySelector('.btn').addEventListener('click', () => this.joinRoom(room.id));
+                roomDiv.querySelector('.room-spectate-btn').addEventListener('click', () => this.spectateRoom(room.id));
+                roomDiv.querySelector('.room-join-btn').addEventListener('click', () => this.joinRoom(room.id));
                 container.appendChild(roomDiv);
             });
         }
@@ -2425,7 +4713,38 @@ class UIManager {
     createRoom() {
         const roomName = prompt('Enter room name:', 'My Room');
         if (roomName) {
-            networkManager.createRoom(roomName);
+            const password = document.getElementById('room-password-input').value;
+            networkManager.createRoom(roomName, {
+                private: document.getElementById('room-visibility-select').value === 'private',
+                password: password || undefined
+            });
+        }
+    }
+
+    joinRoomByCode() {
+        const input = document.getElementById('invite-code-input');
+        const code = input.value.trim().toUpperCase();
+        if (code) {
+            networkManager.joinRoomByCode(code);
+        }
+    }
+
+    copyInviteLink() {
+        const room = networkManager.currentRoom;
+        if (!room || !room.code) return;
+
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('room', room.code);
+        const link = url.toString();
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link)
+                .then(() => this.showStyledMessage(t('copyInviteLink'), t('inviteLinkCopied'), 'success'))
+                .catch(() => prompt(t('copyInviteLink'), link));
+        } else {
+            prompt(t('copyInviteLink'), link);
         }
     }
 
@@ -2433,23 +4752,31 @@ class UIManager {
         networkManager.joinRoom(roomId);
     }
 
+    spectateRoom(roomId) {
+        networkManager.spectateRoom(roomId);
+    }
+
     leaveRoom() {
         networkManager.leaveRoom();
     }
 
     toggleReady() {
         networkManager.toggleReady();
+    }
+
+    // Ready state comes from the server so it also resets after an online game ends
+    updateReadyButton(isReady) {
         const btn = document.getElementById('ready-btn');
-        if (btn) {
-            if (btn.textContent.includes('Ready')) {
-                btn.textContent = '⏳ Waiting...';
-                btn.classList.remove('btn-primary');
-                btn.classList.add('btn-secondary');
-            } else {
-                btn.textContent = '✓ Ready';
-                btn.classList.remove('btn-secondary');
-                btn.classList.add('btn-primary');
-            }
+        if (!btn) return;
+
+        if (isReady) {
+            btn.textContent = '⏳ Waiting...';
+            btn.classList.remove('btn-primary');
+            btn.classList.add('btn-secondary');
+        } else {
+            btn.textContent = '✓ Ready';
+            btn.classList.remove('btn-secondary');
+            btn.classList.add('btn-primary');
         }
     }
 
@@ -2484,21 +4811,98 @@ class UIManager {
             roomNameEl.textContent = room.name;
         }
 
+        // Everyone in the room can pass the code on
+        const inviteCodeEl = document.getElementById('room-invite-code');
+        if (inviteCodeEl) {
+            inviteCodeEl.textContent = room.code || '';
+        }
+        const accessEl = document.getElementById('room-access');
+        if (accessEl) {
+            accessEl.textContent = [
+                room.private ? t('privateRoom') : '',
+                room.hasPassword ? t('passwordRoom') : '',
+                room.locked ? `🔒 ${t('roomLocked')}` : ''
+            ]
+                .filter(Boolean).join(' · ');
+        }
+
+        const amHost = Boolean(networkManager.socket && room.hostId === networkManager.socket.id);
+        const spectators = room.spectators || [];
+        const amSpectator = Boolean(networkManager.socket && spectators.some(s => s.id === networkManager.socket.id));
+
         // Update players list
         if (playersListEl) {
             playersListEl.innerHTML = '';
             room.players.forEach(player => {
                 const playerDiv = document.createElement('div');
                 playerDiv.className = 'room-player-item';
+                const isRoomHost = player.id === room.hostId;
                 playerDiv.innerHTML = `
                     <div class="room-player-color" style="background: ${player.color};"></div>
-                    <div class="room-player-name">${player.name}</div>
-                    <div class="room-player-status">${player.ready ? '✓ Ready' : 'Not Ready'}</div>
+                    <div class="room-player-name">${player.bot ? '🤖 ' : ''}${isRoomHost ? '👑 ' : ''}${player.name}</div>
+                    <div class="room-player-status">${player.bot ? t(BOT_LABELS[player.bot]) : (player.disconnected ? t('playerReconnecting') : (player.ready ? '✓ Ready' : 'Not Ready'))}</div>
                 `;
+                if (player.bot && amHost) {
+                    const removeBtn = document.createElement('button');
+                    removeBtn.className = 'btn btn-small btn-secondary room-bot-remove';
+                    removeBtn.textContent = t('removeBot');
+                    removeBtn.addEventListener('click', () => networkManager.removeBot(player.id));
+                    playerDiv.appendChild(removeBtn);
+                } else if (!player.bot && amHost && !isRoomHost) {
+                    const hostBtn = document.createElement('button');
+                    hostBtn.className = 'btn btn-small btn-secondary';
+                    hostBtn.textContent = t('makeHost');
+                    hostBtn.disabled = Boolean(player.disconnected);
+                    hostBtn.addEventListener('click', () => networkManager.transferHost(player.id));
+                    playerDiv.appendChild(hostBtn);
+                    playerDiv.appendChild(this.createKickButton(player.id));
+                }
                 playersListEl.appendChild(playerDiv);
             });
         }
 
+        // The host can fill empty seats with CPU players
+        const botControls = document.getElementById('room-bot-controls');
+        if (botControls) {
+            botControls.style.display = amHost && room.players.length < room.maxPlayers ? '' : 'none';
+        }
+
+        // Spectators are listed apart from the seats
+        const spectatorsEl = document.getElementById('room-spectators');
+        const spectatorsListEl = document.getElementById('room-spectators-list');
+        if (spectatorsEl && spectatorsListEl) {
+            spectatorsEl.style.display = spectators.length > 0 ? '' : 'none';
+            spectatorsListEl.innerHTML = '';
+            spectators.forEach(spectator => {
+                const spectatorDiv = document.createElement('div');
+                spectatorDiv.className = 'room-spectator-item';
+                spectatorDiv.textContent = `👁 ${spectator.name}`;
+                if (amHost) {
+                    spectatorDiv.appendChild(this.createKickButton(spectator.id));
+                }
+                spectatorsListEl.appendChild(spectatorDiv);
+            });
+        }
+
+        // Spectators can't pick a colour or ready up
+        const colorSection = document.querySelector('.color-selector-section');
+        if (colorSection) {
+            colorSection.style.display = amSpectator ? 'none' : '';
+        }
+        const readyBtn = document.getElementById('ready-btn');
+        if (readyBtn) {
+            readyBtn.style.display = amSpectator ? 'none' : '';
+        }
+
+        // The host doesn't have to wait for players who never get ready
+        const hostControls = document.getElementById('room-host-controls');
+        if (hostControls) {
+            hostControls.style.display = amHost ? '' : 'none';
+            document.getElementById('lock-room-btn').textContent = t(room.locked ? 'unlockRoom' : 'lockRoom');
+            document.getElementById('force-start-btn').disabled = room.gameStarted
+                || !room.players.some(p => p.ready && !p.bot);
+        }
+
         // Update color options
         if (colorOptionsEl) {
             colorOptionsEl.innerHTML = '';
@@ -2527,21 +4931,114 @@ class UIManager {
             });
         }
 
+        const me = networkManager.socket ? room.players.find(p => p.id === networkManager.socket.id) : null;
+        this.updateReadyButton(Boolean(me && me.ready));
+        this.updateRoomSettingsView(room);
+
         // Update status
         if (statusEl) {
             const readyCount = room.players.filter(p => p.ready).length;
-            if (readyCount === room.players.length && room.players.length > 0) {
+            if (room.gameStarted) {
+                statusEl.textContent = t('gameInProgress');
+                statusEl.style.background = 'rgba(46, 213, 115, 0.15)';
+                statusEl.style.borderColor = 'rgba(46, 213, 115, 0.3)';
+            } else if (readyCount === room.players.length && room.players.length > 0) {
                 statusEl.textContent = 'Starting game...';
                 statusEl.style.background = 'rgba(46, 213, 115, 0.15)';
                 statusEl.style.borderColor = 'rgba(46, 213, 115, 0.3)';
             } else {
-                statusEl.textContent = `${readyCount}/${room.players.length} players ready`;
+                statusEl.textContent = `${readyCount}/${room.players.length} players ready`
+                    + (amSpectator ? ` · ${t('spectatorStatus')}` : '');
                 statusEl.style.background = 'rgba(255, 219, 88, 0.15)';
                 statusEl.style.borderColor = 'rgba(255, 219, 88, 0.3)';
             }
         }
     }
 
+    createKickButton(playerId) {
+        const kickBtn = document.createElement('button');
+        kickBtn.className = 'btn btn-small btn-secondary';
+        kickBtn.textContent = t('kick');
+        kickBtn.addEventListener('click', () => networkManager.kickPlayer(playerId));
+        return kickBtn;
+    }
+
+    // Everyone sees the room rules; only the host can change them
+    updateRoomSettingsView(room) {
+        const settings = room.settings || {};
+        const isHost = Boolean(networkManager.socket && room.hostId === networkManager.socket.id);
+
+        // Seats already taken can't be removed
+        const maxPlayersSelect = document.getElementById('room-max-players-select');
+        if (maxPlayersSelect) {
+            maxPlayersSelect.innerHTML = '';
+            for (let count = 1; count <= 4; count++) {
+                const option = document.createElement('option');
+                option.value = count;
+                option.textContent = count;
+                option.disabled = count < room.players.length;
+                maxPlayersSelect.appendChild(option);
+            }
+            maxPlayersSelect.value = room.maxPlayers;
+            maxPlayersSelect.disabled = !isHost;
+        }
+
+        const modeSelect = document.getElementById('room-mode-select');
+        if (modeSelect) {
+            this.fillModeSelect(modeSelect, settings.mode);
+            modeSelect.disabled = !isHost;
+        }
+
+        const attackTableSelect = document.getElementById('room-attack-table-select');
+        if (attackTableSelect) {
+            this.fillAttackTableSelect(attackTableSelect, settings.attackTable);
+            attackTableSelect.disabled = !isHost;
+        }
+
+        const randomizerSelect = document.getElementById('room-randomizer-select');
+        if (randomizerSelect) {
+            this.fillRandomizerSelect(randomizerSelect, settings.randomizer);
+            randomizerSelect.disabled = !isHost;
+        }
+
+        const lockDelaySelect = document.getElementById('room-lock-delay-select');
+        if (lockDelaySelect) {
+            this.fillLockDelaySelect(lockDelaySelect, settings.lockDelay);
+            lockDelaySelect.disabled = !isHost;
+        }
+
+        const gravitySelect = document.getElementById('room-gravity-select');
+        if (gravitySelect) {
+            this.fillGravitySelect(gravitySelect, settings.gravity, ROOM_GRAVITY_CURVES);
+            gravitySelect.disabled = !isHost;
+        }
+
+        const startLevelSelect = document.getElementById('room-start-level-select');
+        if (startLevelSelect) {
+            this.fillStartLevelSelect(startLevelSelect, settings.startLevel);
+            startLevelSelect.disabled = !isHost;
+        }
+
+        const scoringSelect = document.getElementById('room-scoring-select');
+        if (scoringSelect) {
+            this.fillScoringSelect(scoringSelect, settings.scoring);
+            scoringSelect.disabled = !isHost;
+        }
+
+        const boardHeightSelect = document.getElementById('room-board-height-select');
+        if (boardHeightSelect) {
+            this.fillBoardHeightSelect(boardHeightSelect, settings.boardHeight);
+            boardHeightSelect.disabled = !isHost;
+        }
+
+        // Versus boards are always the standard width
+        const columnsSelect = document.getElementById('room-columns-select');
+        if (columnsSelect) {
+            this.fillColumnsPerPlayerSelect(columnsSelect, settings.columnsPerPlayer);
+            columnsSelect.disabled = !isHost || settings.mode === 'versus';
+        }
+    }
+
     startOnlineGame(data) {
         // Map network players to game players
         const numPlayers = data.players.length;
@@ -2561,9 +5058,25 @@ class UIManager {
                 this.localPlayerIndex = index;
             }
         });
+
+        // Without a seat the game is shown read-only
+        this.isSpectating = this.localPlayerIndex === -1;
         
-        // Start the game with proper player count
-        this.startGame(numPlayers);
+        // Start the game with proper player count and the server's piece seed
+        this.startGame(numPlayers, {
+            seed: data.seed,
+            mode: data.settings ? data.settings.mode : undefined,
+            attackTable: data.settings ? data.settings.attackTable : undefined,
+            randomizer: data.settings ? data.settings.randomizer : undefined,
+            lockDelay: data.settings ? data.settings.lockDelay : undefined,
+            gravity: data.settings ? data.settings.gravity : undefined,
+            startLevel: data.settings ? data.settings.startLevel : undefined,
+            scoring: data.settings ? data.settings.scoring : undefined,
+            boardHeight: data.settings ? data.settings.boardHeight : undefined,
+            columnsPerPlayer: data.settings ? data.settings.columnsPerPlayer : undefined,
+            bots: data.players.map(netPlayer => netPlayer.bot || null),
+            names: data.players.map(netPlayer => netPlayer.name)
+        });
         
         // Set up online synchronization
         this.setupOnlineSync();
@@ -2575,47 +5088,21 @@ class UIManager {
     setupOnlineSync() {
         if (!networkManager.socket) return;
         
-        const VALID_ACTIONS = ['move', 'rotate', 'drop', 'hardDrop'];
-        
-        // Listen for remote player inputs
-        networkManager.on('playerInput', (data) => {
-            // Validate input data
-            if (!data || typeof data.playerId !== 'string' || typeof data.action !== 'string') {
-                console.warn('Invalid player input data received:', data);
-                return;
-            }
-            
-            // Validate action type
-            if (!VALID_ACTIONS.includes(data.action)) {
-                console.warn('Invalid action type received:', data.action);
-                return;
+        networkManager.on('gameReplay', (replay) => {
+            if (this.isOnlineMode) {
+                this.storeReplay(replay);
             }
-            
-            const playerIndex = this.networkPlayers[data.playerId];
-            if (playerIndex !== undefined && playerIndex !== this.localPlayerIndex) {
-                const player = gameState.players[playerIndex];
-                if (player && !player.gameOver) {
-                    // Apply the action from remote player
-                    switch (data.action) {
-                        case 'move':
-                            // Validate direction is -1 or 1
-                            if (typeof data.direction === 'number' && (data.direction === -1 || data.direction === 1)) {
-                                player.move(data.direction);
-                            } else {
-                                console.warn('Invalid move direction:', data.direction);
-                            }
-                            break;
-                        case 'rotate':
-                            player.rotate();
-                            break;
-                        case 'drop':
-                            player.drop();
-                            break;
-                        case 'hardDrop':
-                            player.hardDrop();
-                            break;
-                    }
-                }
+        });
+
+        // The server runs the game; apply its snapshots instead of simulating locally
+        networkManager.on('gameState', (snapshot) => {
+            const engine = gameState.engine;
+            if (!this.isOnlineMode || !engine) return;
+
+            const hadClear = snapshot && snapshot.sharedStats && snapshot.sharedStats.lastClearDetail;
+            engine.applySnapshot(snapshot);
+            if (hadClear) {
+                soundManager.lineClear(snapshot.sharedStats.lastClearDetail.linesCleared);
             }
         });
     }
@@ -2679,8 +5166,101 @@ class UIManager {
                     ${t('soundEffects')}
                 </label>
             </div>
+            <div class="setting-item">
+                <label>
+                    <input type="checkbox" id="ghost-enabled" ${gameState.settings.showGhost ? 'checked' : ''}>
+                    ${t('showGhost')}
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="ghost-opacity-input">
+                    ${t('ghostOpacity')}
+                    <input type="range" id="ghost-opacity-input" min="${MIN_GHOST_OPACITY}" max="${MAX_GHOST_OPACITY}" step="0.05" value="${gameState.settings.ghostOpacity}">
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="seed-input">
+                    ${t('gameSeed')}
+                    <input type="text" id="seed-input" maxlength="32" placeholder="${t('randomSeed')}">
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="mode-select">
+                    ${t('modeLabel')}
+                    <select id="mode-select"></select>
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="attack-table-select">
+                    ${t('attackTableLabel')}
+                    <select id="attack-table-select"></select>
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="randomizer-select">
+                    ${t('randomizerLabel')}
+                    <select id="randomizer-select"></select>
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="lock-delay-select">
+                    ${t('lockDelayLabel')}
+                    <select id="lock-delay-select"></select>
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="gravity-select">
+                    ${t('gravityLabel')}
+                    <select id="gravity-select"></select>
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="gravity-table-input">
+                    ${t('customGravityLabel')}
+                    <input type="text" id="gravity-table-input" placeholder="1000, 800, 600, 400, 200, 100, 50, 0">
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="start-level-select">
+                    ${t('startLevelLabel')}
+                    <select id="start-level-select"></select>
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="scoring-select">
+                    ${t('scoringLabel')}
+                    <select id="scoring-select"></select>
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="sprint-lines-select">
+                    ${t('sprintLinesLabel')}
+                    <select id="sprint-lines-select">
+                        ${SPRINT_LINE_OPTIONS.map(lines => `<option value="${lines}">${lines}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="setting-item">
+                <label for="preview-count-select">
+                    ${t('previewCountLabel')}
+                    <select id="preview-count-select">
+                        ${Array.from({ length: NEXT_QUEUE_LENGTH }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
         `;
         container.appendChild(globalDiv);
+        document.getElementById('seed-input').value = gameState.settings.seed || '';
+        this.fillModeSelect(document.getElementById('mode-select'), gameState.settings.mode);
+        this.fillAttackTableSelect(document.getElementById('attack-table-select'), gameState.settings.attackTable);
+        this.fillRandomizerSelect(document.getElementById('randomizer-select'), gameState.settings.randomizer);
+        this.fillLockDelaySelect(document.getElementById('lock-delay-select'), gameState.settings.lockDelay);
+        this.fillGravitySelect(document.getElementById('gravity-select'), gameState.settings.gravity);
+        document.getElementById('gravity-table-input').value = (gameState.settings.gravityTable || []).join(', ');
+        this.fillStartLevelSelect(document.getElementById('start-level-select'), gameState.settings.startLevel);
+        this.fillScoringSelect(document.getElementById('scoring-select'), gameState.settings.scoring);
+        document.getElementById('preview-count-select').value = gameState.settings.previewCount;
+        document.getElementById('sprint-lines-select').value = gameState.settings.sprintLines;
 
         // Only show settings for the current number of players, or all 4 if no game is active
         const numPlayersToShow = gameState.numPlayers > 0 ? gameState.numPlayers : 4;
@@ -2712,9 +5292,7 @@ class UIManager {
             const keysDiv = document.createElement('div');
             keysDiv.className = 'key-bindings';
             
-            const actions = ['left', 'right', 'down', 'rotate', 'drop'];
-            
-            actions.forEach((action, idx) => {
+            KEY_ACTIONS.forEach(action => {
                 const bindingDiv = document.createElement('div');
                 bindingDiv.className = 'key-binding';
                 const currentCode = normalizeKeyCode(gameState.settings.keys[i][action] || DEFAULT_KEYS[i][action]);
@@ -2801,6 +5379,71 @@ class UIManager {
             soundManager.setEnabled(soundCheckbox.checked);
         }
 
+        const ghostCheckbox = document.getElementById('ghost-enabled');
+        if (ghostCheckbox) {
+            gameState.settings.showGhost = ghostCheckbox.checked;
+        }
+
+        const ghostOpacityInput = document.getElementById('ghost-opacity-input');
+        if (ghostOpacityInput) {
+            gameState.settings.ghostOpacity = normalizeGhostOpacity(ghostOpacityInput.value);
+        }
+
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput) {
+            gameState.settings.seed = seedInput.value.trim();
+        }
+
+        const modeSelect = document.getElementById('mode-select');
+        if (modeSelect && GAME_MODES.includes(modeSelect.value)) {
+            gameState.settings.mode = modeSelect.value;
+        }
+
+        const attackTableSelect = document.getElementById('attack-table-select');
+        if (attackTableSelect && ATTACK_TABLES[attackTableSelect.value]) {
+            gameState.settings.attackTable = attackTableSelect.value;
+        }
+
+        const randomizerSelect = document.getElementById('randomizer-select');
+        if (randomizerSelect && RANDOMIZERS.includes(randomizerSelect.value)) {
+            gameState.settings.randomizer = randomizerSelect.value;
+        }
+
+        const lockDelaySelect = document.getElementById('lock-delay-select');
+        if (lockDelaySelect) {
+            gameState.settings.lockDelay = Number(lockDelaySelect.value);
+        }
+
+        const gravitySelect = document.getElementById('gravity-select');
+        if (gravitySelect && GRAVITY_CURVES.includes(gravitySelect.value)) {
+            gameState.settings.gravity = gravitySelect.value;
+        }
+
+        const gravityTableInput = document.getElementById('gravity-table-input');
+        if (gravityTableInput) {
+            gameState.settings.gravityTable = parseGravityTable(gravityTableInput.value);
+        }
+
+        const startLevelSelect = document.getElementById('start-level-select');
+        if (startLevelSelect) {
+            gameState.settings.startLevel = normalizeStartLevel(startLevelSelect.value);
+        }
+
+        const scoringSelect = document.getElementById('scoring-select');
+        if (scoringSelect && SCORING_MODELS.includes(scoringSelect.value)) {
+            gameState.settings.scoring = scoringSelect.value;
+        }
+
+        const previewCountSelect = document.getElementById('preview-count-select');
+        if (previewCountSelect) {
+            gameState.settings.previewCount = normalizePreviewCount(previewCountSelect.value);
+        }
+
+        const sprintLinesSelect = document.getElementById('sprint-lines-select');
+        if (sprintLinesSelect && SPRINT_LINE_OPTIONS.includes(Number(sprintLinesSelect.value))) {
+            gameState.settings.sprintLines = Number(sprintLinesSelect.value);
+        }
+
         // Collect all settings first for validation
         const newColors = [];
         const newKeys = [];
@@ -2849,8 +5492,7 @@ class UIManager {
         // Collect key bindings
         for (let i = 0; i < numPlayersToSave; i++) {
             newKeys[i] = {};
-            const actions = ['left', 'right', 'down', 'rotate', 'drop'];
-            actions.forEach(action => {
+            KEY_ACTIONS.forEach(action => {
                 const keyInput = document.getElementById(`key-${i}-${action}`);
                 if (keyInput) {
                     const storedCode = keyInput.dataset.keyCode || '';
@@ -2867,8 +5509,7 @@ class UIManager {
         const keyUsage = new Map(); // Map of key -> [{player, action}]
         
         for (let i = 0; i < numPlayersToSave; i++) {
-            const actions = ['left', 'right', 'down', 'rotate', 'drop'];
-            actions.forEach(action => {
+            KEY_ACTIONS.forEach(action => {
                 const key = newKeys[i]?.[action];
                 if (key) {
                     if (!keyUsage.has(key)) {
@@ -2951,6 +5592,20 @@ class UIManager {
         // Reset to defaults
         gameState.settings.colors = [...DEFAULT_COLORS];
         gameState.settings.keys = JSON.parse(JSON.stringify(DEFAULT_KEYS));
+        gameState.settings.seed = '';
+        gameState.settings.mode = DEFAULT_MODE;
+        gameState.settings.attackTable = DEFAULT_ATTACK_TABLE;
+        gameState.settings.randomizer = DEFAULT_RANDOMIZER;
+        gameState.settings.lockDelay = DEFAULT_LOCK_DELAY;
+        gameState.settings.gravity = DEFAULT_GRAVITY;
+        gameState.settings.gravityTable = null;
+        gameState.settings.startLevel = 1;
+        gameState.settings.scoring = DEFAULT_SCORING;
+        gameState.settings.previewCount = DEFAULT_PREVIEW_COUNT;
+        gameState.settings.sprintLines = DEFAULT_SPRINT_LINES;
+        gameState.settings.bots = [null, null, null, null];
+        gameState.settings.showGhost = true;
+        gameState.settings.ghostOpacity = DEFAULT_GHOST_OPACITY;
         gameState.gamepads.assignments = {};
         
         // Clear localStorage
@@ -2999,13 +5654,67 @@ function init() {
                     gameState.settings.colors = colors;
                 }
 
+                if (typeof parsed.seed === 'string') {
+                    gameState.settings.seed = parsed.seed.substring(0, 32);
+                }
+
+                if (RANDOMIZERS.includes(parsed.randomizer)) {
+                    gameState.settings.randomizer = parsed.randomizer;
+                }
+
+                if (GAME_MODES.includes(parsed.mode)) {
+                    gameState.settings.mode = parsed.mode;
+                }
+
+                if (ATTACK_TABLES[parsed.attackTable]) {
+                    gameState.settings.attackTable = parsed.attackTable;
+                }
+
+                if (LOCK_DELAY_OPTIONS.includes(parsed.lockDelay)) {
+                    gameState.settings.lockDelay = parsed.lockDelay;
+                }
+
+                if (GRAVITY_CURVES.includes(parsed.gravity)) {
+                    gameState.settings.gravity = parsed.gravity;
+                }
+
+                gameState.settings.gravityTable = normalizeGravityTable(parsed.gravityTable);
+
+                if (parsed.startLevel !== undefined) {
+                    gameState.settings.startLevel = normalizeStartLevel(parsed.startLevel);
+                }
+
+                if (SCORING_MODELS.includes(parsed.scoring)) {
+                    gameState.settings.scoring = parsed.scoring;
+                }
+
+                if (parsed.previewCount !== undefined) {
+                    gameState.settings.previewCount = normalizePreviewCount(parsed.previewCount);
+                }
+
+                if (SPRINT_LINE_OPTIONS.includes(parsed.sprintLines)) {
+                    gameState.settings.sprintLines = parsed.sprintLines;
+                }
+
+                if (Array.isArray(parsed.bots)) {
+                    gameState.settings.bots = DEFAULT_COLORS.map((_, i) =>
+                        BOT_DIFFICULTIES[parsed.bots[i]] ? parsed.bots[i] : null);
+                }
+
+                if (typeof parsed.showGhost === 'boolean') {
+                    gameState.settings.showGhost = parsed.showGhost;
+                }
+
+                if (parsed.ghostOpacity !== undefined) {
+                    gameState.settings.ghostOpacity = normalizeGhostOpacity(parsed.ghostOpacity);
+                }
+
                 if (Array.isArray(parsed.keys)) {
-                    const actions = ['left', 'right', 'down', 'rotate', 'drop'];
                     const keysArray = parsed.keys.slice(0, DEFAULT_KEYS.length);
                     gameState.settings.keys = keysArray.map((keySet = {}, index) => {
                         const defaults = DEFAULT_KEYS[index] || DEFAULT_KEYS[0];
                         const normalizedSet = {};
-                        actions.forEach(action => {
+                        KEY_ACTIONS.forEach(action => {
                             const candidate = keySet[action] || defaults[action];
                             normalizedSet[action] = normalizeKeyCode(candidate);
                         });
@@ -3021,13 +5730,12 @@ function init() {
     if (!Array.isArray(gameState.settings.keys)) {
         gameState.settings.keys = JSON.parse(JSON.stringify(DEFAULT_KEYS));
     } else {
-        const actions = ['left', 'right', 'down', 'rotate', 'drop'];
         gameState.settings.keys = gameState.settings.keys.slice(0, DEFAULT_KEYS.length);
         while (gameState.settings.keys.length < DEFAULT_KEYS.length) {
             const index = gameState.settings.keys.length;
             const defaults = DEFAULT_KEYS[index] || DEFAULT_KEYS[0];
             const filled = {};
-            actions.forEach(action => {
+            KEY_ACTIONS.forEach(action => {
                 filled[action] = defaults[action];
             });
             gameState.settings.keys.push(filled);
@@ -1,10 +1,16 @@
 // Network manager for Blockies multiplayer
+
+// Kept per tab, so a reload can also take the seat back
+const SESSION_STORAGE_KEY = 'blockies-session';
+
 class NetworkManager {
     constructor() {
         this.socket = null;
         this.connected = false;
         this.currentRoom = null;
         this.serverUrl = 'https://irgri.uk';
+        this.session = this.loadSession(); // { roomId, token } of the seat to take back after a reconnect
+        this.rejoining = false;
         this.callbacks = {
             onConnect: null,
             onDisconnect: null,
@@ -15,7 +21,11 @@ class NetworkManager {
             onLeftRoom: null,
             onGameStart: null,
             onGameState: null,
-            onPlayerInput: null,
+            onGameReplay: null,
+            onRejoined: null,
+            onRejoinFailed: null,
+            onPasswordRequired: null,
+            onKicked: null,
             onError: null
         };
     }
@@ -41,7 +51,7 @@ class NetworkManager {
                 transports: ['websocket', 'polling'],
                 reconnection: true,
                 reconnectionDelay: 1000,
-                reconnectionAttempts: 5
+                reconnectionAttempts: 10 // Enough to outlast the server's seat hold
             });
 
             this.setupEventListeners();
@@ -59,6 +69,11 @@ class NetworkManager {
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.connected = true;
+            // Every reconnect is a new connection to the server; ask for the held seat back
+            if (this.session) {
+                this.rejoining = true;
+                this.socket.emit('rejoin', this.session);
+            }
             if (this.callbacks.onConnect) {
                 this.callbacks.onConnect();
             }
@@ -90,8 +105,24 @@ class NetworkManager {
         this.socket.on('room-joined', (room) => {
             console.log('Room joined:', room);
             this.currentRoom = room;
-            if (this.callbacks.onRoomJoined) {
-                this.callbacks.onRoomJoined(room);
+            const callback = this.rejoining ? this.callbacks.onRejoined : this.callbacks.onRoomJoined;
+            this.rejoining = false;
+            if (callback) {
+                callback(room);
+            }
+        });
+
+        this.socket.on('session', (session) => {
+            this.saveSession(session);
+        });
+
+        this.socket.on('rejoin-failed', () => {
+            console.log('Could not rejoin the room');
+            this.rejoining = false;
+            this.currentRoom = null;
+            this.saveSession(null);
+            if (this.callbacks.onRejoinFailed) {
+                this.callbacks.onRejoinFailed();
             }
         });
 
@@ -106,6 +137,7 @@ class NetworkManager {
         this.socket.on('left-room', () => {
             console.log('Left room');
             this.currentRoom = null;
+            this.saveSession(null);
             if (this.callbacks.onLeftRoom) {
                 this.callbacks.onLeftRoom();
             }
@@ -124,9 +156,24 @@ class NetworkManager {
             }
         });
 
-        this.socket.on('player-input', (data) => {
-            if (this.callbacks.onPlayerInput) {
-                this.callbacks.onPlayerInput(data);
+        this.socket.on('game-replay', (replay) => {
+            if (this.callbacks.onGameReplay) {
+                this.callbacks.onGameReplay(replay);
+            }
+        });
+
+        this.socket.on('kicked', (data) => {
+            console.log('Kicked from room');
+            this.currentRoom = null;
+            this.saveSession(null);
+            if (this.callbacks.onKicked) {
+                this.callbacks.onKicked(data);
+            }
+        });
+
+        this.socket.on('password-required', (data) => {
+            if (this.callbacks.onPasswordRequired) {
+                this.callbacks.onPasswordRequired(data);
             }
         });
 
@@ -140,6 +187,8 @@ class NetworkManager {
 
     disconnect() {
         if (this.socket) {
+            // Leaving on purpose gives up the seat
+            this.saveSession(null);
             this.socket.disconnect();
             this.socket = null;
             this.connected = false;
@@ -147,20 +196,59 @@ class NetworkManager {
         }
     }
 
-    createRoom(roomName) {
+    loadSession() {
+        try {
+            const session = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+            return session && typeof session.roomId === 'string' && typeof session.token === 'string' ? session : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    saveSession(session) {
+        this.session = session;
+        try {
+            if (session) {
+                sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+            } else {
+                sessionStorage.removeItem(SESSION_STORAGE_KEY);
+            }
+        } catch (e) {
+            console.warn('Failed to store session:', e);
+        }
+    }
+
+    // options: { private, password }; private rooms are left out of the rooms list
+    createRoom(roomName, options = {}) {
         if (!this.socket || !this.connected) {
             console.error('Not connected to server');
             return;
         }
-        this.socket.emit('create-room', { name: roomName });
+        this.socket.emit('create-room', { name: roomName, private: Boolean(options.private), password: options.password });
     }
 
-    joinRoom(roomId) {
+    joinRoom(roomId, password) {
         if (!this.socket || !this.connected) {
             console.error('Not connected to server');
             return;
         }
-        this.socket.emit('join-room', roomId);
+        this.socket.emit('join-room', { roomId, password });
+    }
+
+    joinRoomByCode(code, password) {
+        if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
+            return;
+        }
+        this.socket.emit('join-room', { code, password });
+    }
+
+    spectateRoom(roomId, password) {
+        if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
+            return;
+        }
+        this.socket.emit('spectate-room', { roomId, password });
     }
 
     leaveRoom() {
@@ -187,19 +275,68 @@ class NetworkManager {
         this.socket.emit('toggle-ready');
     }
 
-    setNickname(nickname) {
+    updateRoomSettings(settings) {
         if (!this.socket || !this.connected) {
             console.error('Not connected to server');
             return;
         }
-        this.socket.emit('set-nickname', nickname);
+        this.socket.emit('update-room-settings', settings);
     }
 
-    sendGameState(state) {
+    addBot(difficulty) {
         if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
+            return;
+        }
+        this.socket.emit('add-bot', difficulty);
+    }
+
+    removeBot(botId) {
+        if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
+            return;
+        }
+        this.socket.emit('remove-bot', botId);
+    }
+
+    kickPlayer(playerId) {
+        if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
+            return;
+        }
+        this.socket.emit('kick-player', playerId);
+    }
+
+    transferHost(playerId) {
+        if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
             return;
         }
-        this.socket.emit('game-state', state);
+        this.socket.emit('transfer-host', playerId);
+    }
+
+    setRoomLocked(locked) {
+        if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
+            return;
+        }
+        this.socket.emit('set-room-locked', locked);
+    }
+
+    forceStart() {
+        if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
+            return;
+        }
+        this.socket.emit('force-start');
+    }
+
+    setNickname(nickname) {
+        if (!this.socket || !this.connected) {
+            console.error('Not connected to server');
+            return;
+        }
+        this.socket.emit('set-nickname', nickname);
     }
 
     sendPlayerInput(input) {
@@ -220,7 +357,11 @@ class NetworkManager {
             'leftRoom': 'onLeftRoom',
             'gameStart': 'onGameStart',
             'gameState': 'onGameState',
-            'playerInput': 'onPlayerInput',
+            'gameReplay': 'onGameReplay',
+            'rejoined': 'onRejoined',
+            'rejoinFailed': 'onRejoinFailed',
+            'passwordRequired': 'onPasswordRequired',
+            'kicked': 'onKicked',
             'error': 'onError'
         };
         
@@ -2,6 +2,32 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const {
+    GameEngine,
+    ReplayRecorder,
+    Bot,
+    BOT_DIFFICULTIES,
+    INPUT_ACTIONS,
+    GAME_MODES,
+    DEFAULT_MODE,
+    ATTACK_TABLES,
+    DEFAULT_ATTACK_TABLE,
+    RANDOMIZERS,
+    DEFAULT_RANDOMIZER,
+    DEFAULT_LOCK_DELAY,
+    MAX_LOCK_DELAY,
+    DEFAULT_GRAVITY,
+    SCORING_MODELS,
+    DEFAULT_SCORING,
+    MAX_START_LEVEL,
+    BOARD_HEIGHT,
+    MIN_BOARD_HEIGHT,
+    MAX_BOARD_HEIGHT,
+    ADDITIONAL_COLUMNS_PER_PLAYER,
+    MAX_COLUMNS_PER_PLAYER,
+    generateSeed
+} = require('./engine');
 
 const app = express();
 const server = http.createServer(app);
@@ -24,19 +50,96 @@ const players = new Map();
 // Available colors for players
 const AVAILABLE_COLORS = ['#FF1493', '#00D9FF', '#FFDB58', '#39FF14'];
 
+// How often running games are simulated and broadcast
+const SERVER_TICK_MS = 50;
+
+const ROOM_GRAVITY_CURVES = ['guideline', 'nes'];
+
+// Rules the host can change, with the values each accepts
+const ROOM_SETTING_CHECKS = {
+    mode: value => GAME_MODES.includes(value),
+    // Rooms pick one of the preset attack tables
+    attackTable: value => typeof value === 'string' && Object.prototype.hasOwnProperty.call(ATTACK_TABLES, value),
+    randomizer: value => RANDOMIZERS.includes(value),
+    lockDelay: value => Number.isFinite(value) && value >= 0 && value <= MAX_LOCK_DELAY,
+    // Custom gravity tables are a local-only option
+    gravity: value => ROOM_GRAVITY_CURVES.includes(value),
+    startLevel: value => Number.isInteger(value) && value >= 1 && value <= MAX_START_LEVEL,
+    scoring: value => SCORING_MODELS.includes(value),
+    boardHeight: value => Number.isInteger(value) && value >= MIN_BOARD_HEIGHT && value <= MAX_BOARD_HEIGHT,
+    columnsPerPlayer: value => Number.isInteger(value) && value >= 0 && value <= MAX_COLUMNS_PER_PLAYER
+};
+
+// Invite codes skip look-alike characters so they can be read out loud
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 32;
+
+// A dropped player's seat is held this long; a CPU stand-in plays for them meanwhile
+const RECONNECT_GRACE_MS = 30000;
+const STAND_IN_BOT_DIFFICULTY = 'medium';
+
+// Spectators don't take seats, but each one still receives every state update
+const MAX_SPECTATORS = 16;
+
+function generateInviteCode() {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(INVITE_CODE_LENGTH), byte => INVITE_CODE_CHARS[byte % INVITE_CODE_CHARS.length]).join('');
+    } while (Array.from(rooms.values()).some(room => room.code === code));
+    return code;
+}
+
+function hashPassword(password) {
+    return crypto.createHash('sha256').update(password).digest('hex');
+}
+
 class Room {
-    constructor(id, name, hostId) {
+    constructor(id, name, hostId, options = {}) {
         this.id = id;
         this.name = name;
         this.hostId = hostId;
+        this.code = generateInviteCode(); // Short code for invites; the only way into a private room
+        this.private = Boolean(options.private); // Hidden from the rooms list
+        this.passwordHash = options.password ? hashPassword(options.password) : null;
         this.players = [];
+        this.spectators = []; // { id, name }; they watch but never get a player slot
         this.maxPlayers = 4;
+        this.locked = false; // Set by the host: nobody new can join or watch
         this.gameStarted = false;
         this.usedColors = new Set();
+        this.botCount = 0; // Numbers the bots' ids and names
+        this.sessions = new Map(); // session token -> playerId, for taking a seat back after a reconnect
+        this.heldSeats = new Map(); // playerId -> { timer, bot } while a dropped player may return
+        this.settings = {
+            mode: DEFAULT_MODE,
+            attackTable: DEFAULT_ATTACK_TABLE,
+            randomizer: DEFAULT_RANDOMIZER,
+            lockDelay: DEFAULT_LOCK_DELAY,
+            gravity: DEFAULT_GRAVITY,
+            startLevel: 1,
+            scoring: DEFAULT_SCORING,
+            boardHeight: BOARD_HEIGHT,
+            columnsPerPlayer: ADDITIONAL_COLUMNS_PER_PLAYER // Co-op board columns added for each player after the first
+        };
+
+        // Authoritative simulation while a game is running
+        this.engine = null;
+        this.recorder = null; // Replay of the running game, sent to everyone when it ends
+        this.seed = null;
+        this.tickTimer = null;
+        this.inputSnapshotSent = false; // Inputs get one snapshot of their own per tick; the rest wait for the tick
+        this.playerSlots = new Map(); // playerId -> engine player index
+        this.gamePlayers = []; // Line-up of the running game, for spectators who join late
+        this.lastBoardVersion = -1;
+    }
+
+    hasMember(id) {
+        return this.players.some(p => p.id === id) || this.isSpectator(id);
     }
 
     addPlayer(playerId, playerName) {
-        if (this.players.length >= this.maxPlayers) {
+        if (this.players.length >= this.maxPlayers || this.hasMember(playerId)) {
             return false;
         }
 
@@ -61,10 +164,21 @@ class Room {
             const player = this.players[playerIndex];
             this.usedColors.delete(player.color);
             this.players.splice(playerIndex, 1);
+            this.releaseSeat(playerId);
+            this.sessions.forEach((id, token) => {
+                if (id === playerId) this.sessions.delete(token);
+            });
+
+            // Their pieces stop falling; the rest of the team plays on
+            if (this.engine && this.playerSlots.has(playerId)) {
+                this.engine.eliminatePlayer(this.playerSlots.get(playerId));
+                this.playerSlots.delete(playerId);
+            }
             
-            // If host left, assign new host
-            if (this.hostId === playerId && this.players.length > 0) {
-                this.hostId = this.players[0].id;
+            // If host left, assign new host; bots can't host, and connected players are preferred
+            if (this.hostId === playerId && this.hasHumans()) {
+                const humans = this.players.filter(p => !p.bot);
+                this.hostId = (humans.find(p => !p.disconnected) || humans[0]).id;
             }
             
             return true;
@@ -72,6 +186,165 @@ class Room {
         return false;
     }
 
+    checkPassword(password) {
+        return !this.passwordHash || (typeof password === 'string' && hashPassword(password) === this.passwordHash);
+    }
+
+    // Issued to each human player on joining; spectators have no seat to hold
+    createSession(playerId) {
+        const token = crypto.randomBytes(16).toString('hex');
+        this.sessions.set(token, playerId);
+        return token;
+    }
+
+    // Keeps a dropped player's seat, colour and slot until onExpire runs
+    holdSeat(playerId, onExpire) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player || player.bot || this.heldSeats.has(playerId)) {
+            return false;
+        }
+
+        player.disconnected = true;
+        if (!this.gameStarted) {
+            player.ready = false;
+        }
+        // An absent host would block every host control, so a connected player takes over; the host returns as a player
+        if (this.hostId === playerId) {
+            const successor = this.players.find(p => !p.bot && !p.disconnected);
+            if (successor) {
+                this.hostId = successor.id;
+            }
+        }
+        // The falling piece isn't left hanging: a bot plays it until the player is back
+        const bot = this.engine && this.playerSlots.has(playerId)
+            ? new Bot(this.engine, this.playerSlots.get(playerId), STAND_IN_BOT_DIFFICULTY)
+            : null;
+        this.heldSeats.set(playerId, { timer: setTimeout(onExpire, RECONNECT_GRACE_MS), bot });
+        return true;
+    }
+
+    releaseSeat(playerId) {
+        const hold = this.heldSeats.get(playerId);
+        if (!hold) return;
+        clearTimeout(hold.timer);
+        if (hold.bot) hold.bot.stop();
+        this.heldSeats.delete(playerId);
+    }
+
+    // Moves a seat to the returning player's new connection; returns the old id, or null for an unknown token
+    reconnectPlayer(token, newId) {
+        const oldId = this.sessions.get(token);
+        const player = oldId !== undefined ? this.players.find(p => p.id === oldId) : null;
+        if (!player || this.hasMember(newId)) {
+            return null;
+        }
+
+        this.releaseSeat(oldId);
+        delete player.disconnected;
+        player.id = newId;
+        this.sessions.set(token, newId);
+        if (this.hostId === oldId) {
+            this.hostId = newId;
+        }
+        if (this.playerSlots.has(oldId)) {
+            this.playerSlots.set(newId, this.playerSlots.get(oldId));
+            this.playerSlots.delete(oldId);
+        }
+        const gamePlayer = this.gamePlayers.find(p => p.id === oldId);
+        if (gamePlayer) {
+            gamePlayer.id = newId;
+        }
+        return oldId;
+    }
+
+    // Host-only. Works on players and spectators; bots are removed with removeBot
+    kick(playerId, targetId) {
+        if (playerId !== this.hostId || targetId === playerId) {
+            return false;
+        }
+        if (this.removeSpectator(targetId)) {
+            return true;
+        }
+        if (!this.players.some(p => p.id === targetId && !p.bot)) {
+            return false;
+        }
+        return this.removePlayer(targetId);
+    }
+
+    // Host-only; the new host has to be a connected human player
+    transferHost(playerId, targetId) {
+        if (playerId !== this.hostId || !this.players.some(p => p.id === targetId && !p.bot && !p.disconnected)) {
+            return false;
+        }
+        this.hostId = targetId;
+        return true;
+    }
+
+    setLocked(playerId, locked) {
+        if (playerId !== this.hostId) {
+            return false;
+        }
+        this.locked = Boolean(locked);
+        return true;
+    }
+
+    // The host can start without waiting for everyone once a human player is ready
+    canForceStart(playerId) {
+        return playerId === this.hostId && !this.gameStarted && this.players.some(p => p.ready && !p.bot);
+    }
+
+    // Spectators can join at any time, even when every seat is taken
+    addSpectator(playerId, playerName) {
+        if (this.spectators.length >= MAX_SPECTATORS || this.hasMember(playerId)) {
+            return false;
+        }
+        this.spectators.push({ id: playerId, name: playerName });
+        return true;
+    }
+
+    removeSpectator(playerId) {
+        const index = this.spectators.findIndex(s => s.id === playerId);
+        if (index === -1) {
+            return false;
+        }
+        this.spectators.splice(index, 1);
+        return true;
+    }
+
+    isSpectator(playerId) {
+        return this.spectators.some(s => s.id === playerId);
+    }
+
+    // Host-only, between games. A bot takes a free seat and colour and is always ready
+    addBot(playerId, difficulty) {
+        if (playerId !== this.hostId || this.gameStarted
+            || !Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, difficulty)) {
+            return false;
+        }
+
+        const botId = `bot_${this.botCount + 1}`;
+        if (!this.addPlayer(botId, `CPU ${this.botCount + 1}`)) {
+            return false;
+        }
+        this.botCount++;
+        const bot = this.players.find(p => p.id === botId);
+        bot.ready = true;
+        bot.bot = difficulty;
+        return true;
+    }
+
+    removeBot(playerId, botId) {
+        if (playerId !== this.hostId || this.gameStarted || !this.players.some(p => p.id === botId && p.bot)) {
+            return false;
+        }
+        return this.removePlayer(botId);
+    }
+
+    // Rooms close once only bots are left
+    hasHumans() {
+        return this.players.some(p => !p.bot);
+    }
+
     setPlayerColor(playerId, color) {
         if (this.usedColors.has(color)) {
             return false;
@@ -96,18 +369,150 @@ class Room {
         return false;
     }
 
+    // Host-only; unknown keys and invalid values reject the whole change, and nothing is applied until every key passes
+    updateSettings(playerId, changes) {
+        if (playerId !== this.hostId || this.gameStarted) {
+            return false;
+        }
+
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return false;
+        }
+
+        const settings = { ...this.settings };
+        let maxPlayers = this.maxPlayers;
+        for (const [key, value] of Object.entries(changes)) {
+            if (key === 'maxPlayers') {
+                // Seats can't be taken away from players already in the room
+                if (!Number.isInteger(value) || value < Math.max(1, this.players.length) || value > AVAILABLE_COLORS.length) {
+                    return false;
+                }
+                maxPlayers = value;
+            } else if (Object.prototype.hasOwnProperty.call(ROOM_SETTING_CHECKS, key) && ROOM_SETTING_CHECKS[key](value)) {
+                settings[key] = value;
+            } else {
+                return false;
+            }
+        }
+
+        this.settings = settings;
+        this.maxPlayers = maxPlayers;
+
+        // Everyone confirms the new rules again; the number of seats isn't a rule
+        if (Object.keys(changes).some(key => key !== 'maxPlayers')) {
+            this.players.forEach(p => {
+                p.ready = Boolean(p.bot);
+            });
+        }
+        return true;
+    }
+
     allPlayersReady() {
         return this.players.length > 0 && this.players.every(p => p.ready);
     }
 
+    // Only ready players get a slot, so players who weren't ready for a forced start watch this game
+    startGame() {
+        const participants = this.players.filter(p => p.ready);
+        this.gameStarted = true;
+        this.playerSlots = new Map(participants.map((p, index) => [p.id, index]));
+        this.gamePlayers = participants.map(p => ({ ...p }));
+        this.seed = generateSeed();
+        this.engine = new GameEngine({
+            numPlayers: participants.length,
+            colors: participants.map(p => p.color),
+            seed: this.seed,
+            mode: this.settings.mode,
+            attackTable: this.settings.attackTable,
+            randomizer: this.settings.randomizer,
+            lockDelay: this.settings.lockDelay,
+            gravity: this.settings.gravity,
+            startLevel: this.settings.startLevel,
+            scoring: this.settings.scoring,
+            boardHeight: this.settings.boardHeight,
+            columnsPerPlayer: this.settings.columnsPerPlayer
+        });
+        this.recorder = new ReplayRecorder(this.engine);
+        // Bots play on the server and send their moves through engine.input like everyone else
+        participants.filter(p => p.bot).forEach(p => new Bot(this.engine, this.playerSlots.get(p.id), p.bot));
+        this.engine.start();
+        this.lastBoardVersion = -1;
+    }
+
+    endGame() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+        // Stand-ins only play out the game; the seats stay held
+        this.heldSeats.forEach(hold => {
+            if (hold.bot) hold.bot.stop();
+            hold.bot = null;
+        });
+        this.engine = null;
+        this.recorder = null;
+        this.gameStarted = false;
+        this.playerSlots = new Map();
+        this.gamePlayers = [];
+        this.players.forEach(p => {
+            p.ready = Boolean(p.bot);
+        });
+    }
+
+    // What clients need to build the game locally; also sent to spectators joining mid-game
+    getGameStartInfo() {
+        return {
+            players: this.gamePlayers,
+            seed: this.seed,
+            settings: { ...this.settings }
+        };
+    }
+
+    // Validate and apply a client input; only the sender's own slot can be controlled, and spectators have none
+    applyInput(playerId, input) {
+        if (!this.engine || !this.playerSlots.has(playerId)) {
+            return false;
+        }
+
+        if (!input || typeof input !== 'object' || !INPUT_ACTIONS.includes(input.action)) {
+            return false;
+        }
+
+        let value;
+        if (input.action === 'move') {
+            if (input.direction !== -1 && input.direction !== 1) {
+                return false;
+            }
+            value = input.direction;
+        }
+
+        return this.engine.input(this.playerSlots.get(playerId), input.action, value);
+    }
+
+    // Next state update for clients; the board is only sent when locked cells changed
+    takeSnapshot() {
+        const includeBoard = this.engine.boardVersion !== this.lastBoardVersion;
+        this.lastBoardVersion = this.engine.boardVersion;
+        const snapshot = this.engine.getSnapshot(includeBoard);
+        // Each clear is celebrated once, so it is only sent in one update
+        this.engine.sharedStats.lastClearDetail = null;
+        this.engine.players.forEach(player => {
+            if (player.scoreStats) player.scoreStats.lastClearDetail = null;
+        });
+        return snapshot;
+    }
+
     toJSON() {
         return {
             id: this.id,
             name: this.name,
             hostId: this.hostId,
             players: this.players.length,
+            spectators: this.spectators.length,
             maxPlayers: this.maxPlayers,
-            gameStarted: this.gameStarted
+            gameStarted: this.gameStarted,
+            hasPassword: Boolean(this.passwordHash),
+            locked: this.locked
         };
     }
 
@@ -117,13 +522,122 @@ class Room {
             name: this.name,
             hostId: this.hostId,
             players: this.players,
+            spectators: this.spectators,
             maxPlayers: this.maxPlayers,
             gameStarted: this.gameStarted,
+            code: this.code,
+            private: this.private,
+            hasPassword: Boolean(this.passwordHash),
+            locked: this.locked,
+            settings: { ...this.settings },
             availableColors: AVAILABLE_COLORS.filter(c => !this.usedColors.has(c))
         };
     }
 }
 
+// Private rooms are left out; they are only found by their invite code
+function getPublicRooms() {
+    return Array.from(rooms.values()).filter(room => !room.private).map(room => room.toJSON());
+}
+
+// join-room and spectate-room take a room id (or `{ roomId }`) from the list, or `{ code }` from an invite,
+// plus `password` for protected rooms. Sends the error itself and returns null when the room can't be entered
+function findRoomToEnter(socket, request, spectate) {
+    const data = typeof request === 'string' ? { roomId: request } : (request || {});
+    let room = null;
+    if (typeof data.code === 'string') {
+        const code = data.code.trim().toUpperCase();
+        room = Array.from(rooms.values()).find(r => r.code === code) || null;
+    } else if (typeof data.roomId === 'string') {
+        room = rooms.get(data.roomId) || null;
+        if (room && room.private) {
+            room = null;
+        }
+    }
+
+    if (!room) {
+        socket.emit('error', { message: data.code !== undefined ? 'No room with that invite code' : 'Room not found' });
+        return null;
+    }
+
+    if (room.locked) {
+        socket.emit('error', { message: 'Room is locked' });
+        return null;
+    }
+
+    if (!room.checkPassword(data.password)) {
+        // The client asks for the password and sends the same request again
+        socket.emit('password-required', {
+            request: data.code !== undefined ? { code: data.code } : { roomId: room.id },
+            spectate,
+            wrong: data.password !== undefined
+        });
+        return null;
+    }
+
+    return room;
+}
+
+function startRoomGame(room) {
+    room.startGame();
+    io.to(room.id).emit('game-start', room.getGameStartInfo());
+    broadcastGameState(room);
+
+    let lastTick = Date.now();
+    room.tickTimer = setInterval(() => {
+        const now = Date.now();
+        room.engine.tick(now - lastTick);
+        lastTick = now;
+        room.inputSnapshotSent = false;
+        broadcastGameState(room);
+    }, SERVER_TICK_MS);
+
+    // The lobby and the room both see the game as started, however it began
+    io.to(room.id).emit('room-update', room.getFullInfo());
+    io.emit('rooms-list', getPublicRooms());
+}
+
+// Once only bots are left the room closes; spectators are sent back to the lobby
+function closeRoom(room) {
+    room.endGame();
+    room.heldSeats.forEach((hold, playerId) => room.releaseSeat(playerId));
+    rooms.delete(room.id);
+    room.spectators.forEach(spectator => {
+        const player = players.get(spectator.id);
+        if (player) player.roomId = null;
+    });
+    io.to(room.id).emit('left-room');
+    io.in(room.id).socketsLeave(room.id);
+    io.emit('rooms-list', getPublicRooms());
+    console.log(`Room ${room.name} deleted (empty)`);
+}
+
+// The grace period ran out: the seat is given up as if the player had left
+function expireSeat(room, playerId) {
+    room.removePlayer(playerId);
+    if (!room.hasHumans()) {
+        closeRoom(room);
+    } else {
+        io.to(room.id).emit('room-update', room.getFullInfo());
+        io.emit('rooms-list', getPublicRooms());
+    }
+    console.log(`Seat of ${playerId} in room ${room.name} given up`);
+}
+
+function broadcastGameState(room) {
+    if (!room.engine) return;
+
+    io.to(room.id).emit('game-state', room.takeSnapshot());
+
+    if (room.engine.isGameOver) {
+        io.to(room.id).emit('game-replay', room.recorder.getReplay());
+        room.endGame();
+        io.to(room.id).emit('room-update', room.getFullInfo());
+        io.emit('rooms-list', getPublicRooms());
+        console.log(`Game over in room ${room.name}`);
+    }
+}
+
 io.on('connection', (socket) => {
     console.log('New client connected:', socket.id);
     
@@ -134,7 +648,7 @@ io.on('connection', (socket) => {
     });
 
     // Send initial rooms list
-    socket.emit('rooms-list', Array.from(rooms.values()).map(r => r.toJSON()));
+    socket.emit('rooms-list', getPublicRooms());
 
     // Set player nickname
     socket.on('set-nickname', (nickname) => {
@@ -146,7 +660,8 @@ io.on('connection', (socket) => {
             if (player.roomId) {
                 const room = rooms.get(player.roomId);
                 if (room) {
-                    const roomPlayer = room.players.find(p => p.id === socket.id);
+                    const roomPlayer = room.players.find(p => p.id === socket.id)
+                    || room.spectators.find(s => s.id === socket.id);
                     if (roomPlayer) {
                         roomPlayer.name = player.name;
                         io.to(player.roomId).emit('room-update', room.getFullInfo());
@@ -160,9 +675,14 @@ io.on('connection', (socket) => {
 
     // Create room
     socket.on('create-room', (data) => {
+        data = data || {};
         const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const roomName = data.name || `Room ${rooms.size + 1}`;
-        const room = new Room(roomId, roomName, socket.id);
+        if (data.password !== undefined && (typeof data.password !== 'string' || data.password.length > MAX_PASSWORD_LENGTH)) {
+            socket.emit('error', { message: 'Invalid room password' });
+            return;
+        }
+        const room = new Room(roomId, roomName, socket.id, { private: data.private, password: data.password });
         
         const player = players.get(socket.id);
         if (player) {
@@ -173,21 +693,22 @@ io.on('connection', (socket) => {
         rooms.set(roomId, room);
         socket.join(roomId);
 
+        socket.emit('session', { roomId, token: room.createSession(socket.id) });
         socket.emit('room-created', room.getFullInfo());
-        io.emit('rooms-list', Array.from(rooms.values()).map(r => r.toJSON()));
+        io.emit('rooms-list', getPublicRooms());
         
         console.log(`Room created: ${roomName} (${roomId})`);
     });
 
     // Join room
-    socket.on('join-room', (roomId) => {
-        const room = rooms.get(roomId);
+    socket.on('join-room', (request) => {
+        const room = findRoomToEnter(socket, request, false);
         const player = players.get(socket.id);
         
         if (!room) {
-            socket.emit('error', { message: 'Room not found' });
             return;
         }
+        const roomId = room.id;
 
         if (room.gameStarted) {
             socket.emit('error', { message: 'Game already started' });
@@ -199,6 +720,7 @@ io.on('connection', (socket) => {
             if (success) {
                 player.roomId = roomId;
                 socket.join(roomId);
+                socket.emit('session', { roomId, token: room.createSession(socket.id) });
                 
                 // Notify all players in room
                 io.to(roomId).emit('room-update', room.getFullInfo());
@@ -211,21 +733,90 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Take a held seat back after a reconnect; a running game is resent from a full snapshot
+    socket.on('rejoin', (data) => {
+        const player = players.get(socket.id);
+        const room = data && typeof data.token === 'string' ? rooms.get(data.roomId) : null;
+        const oldId = room && player && !player.roomId ? room.reconnectPlayer(data.token, socket.id) : null;
+
+        if (oldId === null) {
+            socket.emit('rejoin-failed');
+            return;
+        }
+
+        // The old connection may not have timed out yet
+        players.delete(oldId);
+        const oldSocket = io.sockets.sockets.get(oldId);
+        if (oldSocket) {
+            oldSocket.disconnect(true);
+        }
+
+        const seat = room.players.find(p => p.id === socket.id);
+        player.roomId = room.id;
+        player.name = seat.name;
+        socket.join(room.id);
+
+        socket.emit('room-joined', room.getFullInfo());
+        io.to(room.id).emit('room-update', room.getFullInfo());
+
+        if (room.engine) {
+            socket.emit('game-start', room.getGameStartInfo());
+            socket.emit('game-state', room.engine.getSnapshot(true));
+        }
+
+        console.log(`${player.name} rejoined room ${room.name}`);
+    });
+
+    // Watch a room without taking a seat; works while a game is running too
+    socket.on('spectate-room', (request) => {
+        const room = findRoomToEnter(socket, request, true);
+        const player = players.get(socket.id);
+
+        if (!room) {
+            return;
+        }
+        const roomId = room.id;
+
+        if (player) {
+            if (!room.addSpectator(socket.id, player.name)) {
+                socket.emit('error', { message: 'Cannot watch this room' });
+                return;
+            }
+
+            player.roomId = roomId;
+            socket.join(roomId);
+
+            io.to(roomId).emit('room-update', room.getFullInfo());
+            socket.emit('room-joined', room.getFullInfo());
+            io.emit('rooms-list', getPublicRooms());
+
+            // Late spectators build the game locally, then catch up from a full snapshot
+            if (room.engine) {
+                socket.emit('game-start', room.getGameStartInfo());
+                socket.emit('game-state', room.engine.getSnapshot(true));
+            }
+
+            console.log(`${player.name} is watching room ${room.name}`);
+        }
+    });
+
     // Leave room
     socket.on('leave-room', () => {
         const player = players.get(socket.id);
         if (player && player.roomId) {
             const room = rooms.get(player.roomId);
             if (room) {
+                const wasSpectator = room.removeSpectator(socket.id);
                 room.removePlayer(socket.id);
                 socket.leave(player.roomId);
                 
-                if (room.players.length === 0) {
-                    rooms.delete(player.roomId);
-                    io.emit('rooms-list', Array.from(rooms.values()).map(r => r.toJSON()));
-                    console.log(`Room ${room.name} deleted (empty)`);
+                if (!room.hasHumans()) {
+                    closeRoom(room);
                 } else {
                     io.to(player.roomId).emit('room-update', room.getFullInfo());
+                    if (wasSpectator) {
+                        io.emit('rooms-list', getPublicRooms());
+                    }
                 }
                 
                 player.roomId = null;
@@ -250,6 +841,115 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Change room settings (host only)
+    socket.on('update-room-settings', (changes) => {
+        const player = players.get(socket.id);
+        if (player && player.roomId) {
+            const room = rooms.get(player.roomId);
+            if (room) {
+                if (room.hostId !== socket.id) {
+                    socket.emit('error', { message: 'Only the host can change room settings' });
+                } else if (room.updateSettings(socket.id, changes)) {
+                    io.to(player.roomId).emit('room-update', room.getFullInfo());
+                } else {
+                    socket.emit('error', { message: 'Invalid room settings' });
+                }
+            }
+        }
+    });
+
+    // Bots (host only, between games)
+    socket.on('add-bot', (difficulty) => {
+        const player = players.get(socket.id);
+        const room = player && player.roomId ? rooms.get(player.roomId) : null;
+        if (!room) return;
+
+        if (room.addBot(socket.id, difficulty)) {
+            io.to(room.id).emit('room-update', room.getFullInfo());
+            io.emit('rooms-list', getPublicRooms());
+        } else {
+            socket.emit('error', { message: 'Cannot add a bot' });
+        }
+    });
+
+    socket.on('remove-bot', (botId) => {
+        const player = players.get(socket.id);
+        const room = player && player.roomId ? rooms.get(player.roomId) : null;
+        if (!room) return;
+
+        if (room.removeBot(socket.id, botId)) {
+            io.to(room.id).emit('room-update', room.getFullInfo());
+            io.emit('rooms-list', getPublicRooms());
+        } else {
+            socket.emit('error', { message: 'Cannot remove that bot' });
+        }
+    });
+
+    // Host controls
+    socket.on('kick-player', (targetId) => {
+        const player = players.get(socket.id);
+        const room = player && player.roomId ? rooms.get(player.roomId) : null;
+        if (!room) return;
+
+        if (!room.kick(socket.id, targetId)) {
+            socket.emit('error', { message: 'Cannot kick that player' });
+            return;
+        }
+
+        const target = players.get(targetId);
+        if (target) {
+            target.roomId = null;
+        }
+        const targetSocket = io.sockets.sockets.get(targetId);
+        if (targetSocket) {
+            targetSocket.leave(room.id);
+            targetSocket.emit('kicked', { roomName: room.name });
+        }
+
+        io.to(room.id).emit('room-update', room.getFullInfo());
+        io.emit('rooms-list', getPublicRooms());
+        console.log(`${targetId} was kicked from room ${room.name}`);
+    });
+
+    socket.on('transfer-host', (targetId) => {
+        const player = players.get(socket.id);
+        const room = player && player.roomId ? rooms.get(player.roomId) : null;
+        if (!room) return;
+
+        if (room.transferHost(socket.id, targetId)) {
+            io.to(room.id).emit('room-update', room.getFullInfo());
+        } else {
+            socket.emit('error', { message: 'Cannot make that player the host' });
+        }
+    });
+
+    socket.on('set-room-locked', (locked) => {
+        const player = players.get(socket.id);
+        const room = player && player.roomId ? rooms.get(player.roomId) : null;
+        if (!room) return;
+
+        if (room.setLocked(socket.id, locked)) {
+            io.to(room.id).emit('room-update', room.getFullInfo());
+            io.emit('rooms-list', getPublicRooms());
+        } else {
+            socket.emit('error', { message: 'Only the host can lock the room' });
+        }
+    });
+
+    socket.on('force-start', () => {
+        const player = players.get(socket.id);
+        const room = player && player.roomId ? rooms.get(player.roomId) : null;
+        if (!room) return;
+
+        if (!room.canForceStart(socket.id)) {
+            socket.emit('error', { message: 'Cannot start the game yet' });
+            return;
+        }
+
+        startRoomGame(room);
+        console.log(`Host started the game in room ${room.name} with ${room.gamePlayers.length} player(s)`);
+    });
+
     // Toggle ready
     socket.on('toggle-ready', () => {
         const player = players.get(socket.id);
@@ -257,17 +957,15 @@ io.on('connection', (socket) => {
             const room = rooms.get(player.roomId);
             if (room) {
                 const currentPlayer = room.players.find(p => p.id === socket.id);
-                if (currentPlayer) {
+                // Players sitting out a running game wait for the next one
+                if (currentPlayer && !room.gameStarted) {
                     room.setPlayerReady(socket.id, !currentPlayer.ready);
                     io.to(player.roomId).emit('room-update', room.getFullInfo());
                     
                     // Check if all players are ready
                     // Allow solo practice (1 player) or multiplayer (2+ players)
                     if (room.allPlayersReady() && room.players.length >= 1) {
-                        room.gameStarted = true;
-                        io.to(player.roomId).emit('game-start', {
-                            players: room.players
-                        });
+                        startRoomGame(room);
                         console.log(`Game starting in room ${room.name} with ${room.players.length} player(s)`);
                     }
                 }
@@ -275,25 +973,16 @@ io.on('connection', (socket) => {
         }
     });
 
-    // Game state sync
-    socket.on('game-state', (data) => {
-        const player = players.get(socket.id);
-        if (player && player.roomId) {
-            socket.to(player.roomId).emit('game-state', {
-                playerId: socket.id,
-                ...data
-            });
-        }
-    });
-
-    // Player input
+    // Player input - applied to the room's authoritative game, never relayed
     socket.on('player-input', (data) => {
         const player = players.get(socket.id);
         if (player && player.roomId) {
-            socket.to(player.roomId).emit('player-input', {
-                playerId: socket.id,
-                ...data
-            });
+            const room = rooms.get(player.roomId);
+            // The first input after a tick is answered at once; held keys and key spam don't multiply the traffic
+            if (room && room.applyInput(socket.id, data) && !room.inputSnapshotSent) {
+                room.inputSnapshotSent = true;
+                broadcastGameState(room);
+            }
         }
     });
 
@@ -305,14 +994,22 @@ io.on('connection', (socket) => {
         if (player && player.roomId) {
             const room = rooms.get(player.roomId);
             if (room) {
-                room.removePlayer(socket.id);
-                
-                if (room.players.length === 0) {
-                    rooms.delete(player.roomId);
-                    io.emit('rooms-list', Array.from(rooms.values()).map(r => r.toJSON()));
-                    console.log(`Room ${room.name} deleted (empty)`);
-                } else {
+                const wasSpectator = room.removeSpectator(socket.id);
+
+                // Players get a grace period to reconnect before their seat is given up
+                if (!wasSpectator && room.holdSeat(socket.id, () => expireSeat(room, socket.id))) {
                     io.to(player.roomId).emit('room-update', room.getFullInfo());
+                } else {
+                    room.removePlayer(socket.id);
+
+                    if (!room.hasHumans()) {
+                        closeRoom(room);
+                    } else {
+                        io.to(player.roomId).emit('room-update', room.getFullInfo());
+                        if (wasSpectator) {
+                            io.emit('rooms-list', getPublicRooms());
+                        }
+                    }
                 }
             }
         }
@@ -321,6 +1018,11 @@ io.on('connection', (socket) => {
     });
 });
 
-server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+// Only `node server.js` opens the port; tests require the Room class on its own
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+    });
+}
+
+module.exports = { Room };
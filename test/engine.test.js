@@ -0,0 +1,542 @@
+// Engine regression checks: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    GARBAGE_CELL,
+    FRAME_DURATION,
+    SHAPES,
+    rotateMatrix,
+    createRandom,
+    createRandomizer,
+    GameEngine,
+    ReplayRecorder,
+    ReplayPlayer,
+    encodeReplay,
+    validateReplayFile,
+    decodeReplay,
+    PUZZLE_FORMAT,
+    PUZZLE_VERSION,
+    validatePuzzle,
+    getPuzzleOptions
+} = require('../engine');
+
+const SCRIPT = ['move', 'rotate', 'move', 'hardDrop', 'rotateCCW', 'hold', 'drop', 'hardDrop'];
+
+// A fixed, seeded game: every player acts on a schedule until the game ends or time runs out
+function playScriptedGame(options, frames = 3000) {
+    const engine = new GameEngine(options);
+    const recorder = new ReplayRecorder(engine);
+    engine.start();
+    for (let frame = 0; frame < frames && !engine.isGameOver; frame++) {
+        engine.players.forEach(player => {
+            if ((frame + player.id * 7) % 12 !== 0) return;
+            const action = SCRIPT[(frame / 12 + player.id) % SCRIPT.length | 0];
+            engine.input(player.id, action, action === 'move' ? (frame % 5 < 2 ? -1 : 1) : undefined);
+        });
+        engine.step();
+    }
+    return { engine, replay: recorder.getReplay() };
+}
+
+function finalState(engine) {
+    return {
+        frame: engine.frame,
+        isGameOver: engine.isGameOver,
+        board: engine.board,
+        boards: engine.boards,
+        sharedStats: { ...engine.sharedStats, lastClearDetail: null },
+        players: engine.players.map(player => ({
+            stats: player.stats,
+            score: player.score,
+            gameOver: player.gameOver,
+            nextQueue: player.nextQueue
+        }))
+    };
+}
+
+// An engine that has dealt its first pieces
+function startedEngine(options) {
+    const engine = new GameEngine(options);
+    engine.start();
+    return engine;
+}
+
+// Puts a player's falling piece exactly where a test needs it, as if it had just spawned there
+function placePiece(player, type, x, y, rotation = 0) {
+    player.currentType = type;
+    player.currentPiece = rotateMatrix(SHAPES[type], rotation);
+    player.rotation = rotation;
+    player.position = { x, y };
+    player.lockTimer = null;
+    player.lockResets = 0;
+    player.lowestY = y;
+    player.lastMoveWasRotation = false;
+}
+
+// A board of the given height with these rows at the bottom ('X' locked, '.' empty)
+function boardFromRows(rows, height = 20) {
+    const width = rows[0].length;
+    const board = Array.from({ length: height - rows.length }, () => Array(width).fill(0));
+    return board.concat(rows.map(row => Array.from(row, cell => (cell === 'X' ? GARBAGE_CELL : 0))));
+}
+
+function replayToEnd(replay) {
+    const player = new ReplayPlayer(replay);
+    player.seek(replay.frames);
+    return player.engine;
+}
+
+test('a recorded co-op game replays to the same final state', () => {
+    const { engine, replay } = playScriptedGame({ numPlayers: 2, seed: 1234 });
+    assert.ok(engine.players.some(player => player.stats.pieces > 10), 'the script should lock pieces');
+    assert.deepStrictEqual(finalState(replayToEnd(replay)), finalState(engine));
+});
+
+test('a recorded versus game replays to the same final state', () => {
+    const { engine, replay } = playScriptedGame({ numPlayers: 3, seed: 99, mode: 'versus', randomizer: 'bag14' });
+    assert.deepStrictEqual(finalState(replayToEnd(replay)), finalState(engine));
+});
+
+test('replay files round-trip through encode, validate and decode', () => {
+    const { engine, replay } = playScriptedGame({ numPlayers: 2, seed: 42, randomizer: 'bag7-shared' }, 1200);
+    const file = JSON.parse(JSON.stringify(encodeReplay(replay)));
+    assert.strictEqual(validateReplayFile(file), null);
+    assert.deepStrictEqual(finalState(replayToEnd(decodeReplay(file))), finalState(engine));
+});
+
+test('the same seed deals the same pieces', () => {
+    const first = new GameEngine({ numPlayers: 2, seed: 7 });
+    const second = new GameEngine({ numPlayers: 2, seed: 7 });
+    first.start();
+    second.start();
+    assert.deepStrictEqual(second.players.map(p => p.nextQueue), first.players.map(p => p.nextQueue));
+});
+
+test('puzzle files are validated without throwing on a bad player count', () => {
+    const puzzle = {
+        format: PUZZLE_FORMAT,
+        version: PUZZLE_VERSION,
+        name: 'Test',
+        players: 1,
+        board: ['XXXXXXXXX.'],
+        pieces: ['I'],
+        objective: { type: 'clear' }
+    };
+    assert.strictEqual(validatePuzzle(puzzle), null);
+    assert.strictEqual(validatePuzzle({ ...puzzle, format: 'other' }), 'format');
+    assert.strictEqual(validatePuzzle({ ...puzzle, version: PUZZLE_VERSION + 1 }), 'new-version');
+    assert.strictEqual(validatePuzzle({ ...puzzle, board: ['XXXXXXXXX'] }), 'invalid');
+    [0, -1, 1.5, 5, '](', '2', null].forEach(players => {
+        assert.strictEqual(validatePuzzle({ ...puzzle, players }), 'invalid', `players: ${JSON.stringify(players)}`);
+    });
+});
+
+test('a valid puzzle builds an engine that can meet its objective', () => {
+    const puzzle = {
+        format: PUZZLE_FORMAT,
+        version: PUZZLE_VERSION,
+        name: 'Test',
+        board: ['XXXXXXXXX.', 'XXXXXXXXX.', 'XXXXXXXXX.', 'XXXXXXXXX.'],
+        pieces: ['I'],
+        objective: { type: 'clear' }
+    };
+    const engine = new GameEngine(getPuzzleOptions(puzzle));
+    engine.start();
+    engine.input(0, 'rotate');
+    for (let i = 0; i < 10; i++) engine.input(0, 'move', 1);
+    engine.input(0, 'hardDrop');
+    for (let i = 0; i < 60 && !engine.isGameOver; i++) engine.step();
+    assert.ok(engine.isObjectiveMet());
+});
+
+test('a teammate\'s falling piece blocks moves and rotations', () => {
+    const engine = startedEngine({ numPlayers: 2 });
+    const [first, second] = engine.players;
+    placePiece(first, 'O', 4, 5);
+    placePiece(second, 'O', 6, 5);
+    assert.strictEqual(engine.input(0, 'move', 1), false);
+    assert.deepStrictEqual(first.position, { x: 4, y: 5 });
+    assert.deepStrictEqual(first.checkCollision(first.currentPiece, { x: 5, y: 5 }), { collides: true, withLocked: false, withActive: true });
+    assert.strictEqual(engine.isCellOccupiedByOtherPiece(6, 5, 0), true);
+    assert.strictEqual(engine.isCellOccupiedByOtherPiece(6, 5, 1), false);
+
+    // In the bottom-left corner a T only turns by kicking up into the cells the teammate's O holds
+    placePiece(first, 'T', 0, 18);
+    placePiece(second, 'O', 0, 16);
+    assert.strictEqual(engine.input(0, 'rotate'), false);
+    assert.strictEqual(first.rotation, 0);
+    placePiece(second, 'O', 6, 5);
+    assert.strictEqual(engine.input(0, 'rotate'), true);
+});
+
+test('a piece resting on a teammate\'s falling piece does not lock', () => {
+    const engine = startedEngine({ numPlayers: 2, lockDelay: 5000 });
+    const [first, second] = engine.players;
+    placePiece(second, 'O', 4, 18);
+    placePiece(first, 'O', 4, 10);
+
+    engine.input(0, 'hardDrop');
+    assert.strictEqual(first.position.y, 16);
+    assert.strictEqual(first.isGrounded(), false);
+    for (let i = 0; i < 120; i++) engine.step();
+    assert.strictEqual(first.lockTimer, null);
+    assert.strictEqual(first.stats.pieces, 0);
+    assert.ok(engine.board.every(row => row.every(cell => cell === 0)));
+});
+
+test('a line built by several players updates the team stats', () => {
+    const board = Array.from({ length: 20 }, () => Array(14).fill(0));
+    board[19] = [1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 0, 0, 0, 0];
+    const engine = startedEngine({ numPlayers: 2, board });
+    const [first, second] = engine.players;
+    engine.sharedStats.lines = 9;
+    placePiece(second, 'I', 10, 18);
+
+    engine.input(1, 'hardDrop');
+    assert.strictEqual(engine.board[19].every(cell => cell === 0), true);
+    assert.strictEqual(engine.sharedStats.lines, 10);
+    assert.strictEqual(engine.sharedStats.score, 100);
+    assert.strictEqual(engine.sharedStats.level, 2);
+    assert.strictEqual(second.stats.lines, 1);
+    assert.strictEqual(first.stats.lines, 0);
+    assert.strictEqual(first.stats.cellsCleared, 5);
+    assert.strictEqual(second.stats.cellsCleared, 9);
+    [first, second].forEach(player => {
+        assert.strictEqual(player.score, 100);
+        assert.strictEqual(player.level, 2);
+        assert.strictEqual(player.dropInterval, engine.getDropInterval(2));
+    });
+});
+
+test('a blocked spawn knocks the player out and the game ends with the last one', () => {
+    const engine = startedEngine({ numPlayers: 2 });
+    const [first, second] = engine.players;
+    let gameOvers = 0;
+    engine.on('gameOver', () => gameOvers++);
+    placePiece(first, 'O', 0, 10);
+    placePiece(second, 'O', 12, 10);
+    // Two nearly full rows on top: nothing fits, but nothing clears either
+    [0, 1].forEach(y => {
+        engine.board[y].fill(GARBAGE_CELL);
+        engine.board[y][13] = 0;
+    });
+
+    engine.input(0, 'hardDrop');
+    assert.strictEqual(first.gameOver, true);
+    assert.strictEqual(engine.isGameOver, false);
+    engine.input(1, 'hardDrop');
+    assert.strictEqual(second.gameOver, true);
+    assert.strictEqual(engine.isGameOver, true);
+    assert.strictEqual(gameOvers, 1);
+});
+
+test('a 180° turn into three blocked corners is a mini T-spin', () => {
+    const engine = startedEngine({
+        board: boardFromRows([
+            'XXX..XXXXX',
+            'XXX..XXXXX',
+            'XXXX.XXXXX',
+            'XXXX..XXXX',
+            'XXXX.XXXXX'
+        ])
+    });
+    const player = engine.players[0];
+    placePiece(player, 'T', 3, 17, 1);
+
+    // Only the fifth half-turn kick fits: a plain two-row shift, not the far quarter-turn kick
+    assert.strictEqual(engine.input(0, 'rotate180'), true);
+    assert.strictEqual(player.lastKick, 4);
+    assert.deepStrictEqual(player.position, { x: 3, y: 15 });
+    assert.strictEqual(player.detectTSpin(), 'mini');
+    engine.input(0, 'hardDrop');
+    assert.strictEqual(engine.sharedStats.lastClearDetail.tSpin, 'mini');
+    assert.strictEqual(engine.sharedStats.lastClearDetail.linesCleared, 2);
+});
+
+test('a quarter turn through the far kick is a full T-spin', () => {
+    const engine = startedEngine({
+        board: boardFromRows([
+            '.....X....',
+            'XXX...XXXX',
+            'XXXXX.XXXX',
+            'XXXX..XXXX',
+            'XXXX..XXXX',
+            'XXXXXXXXX.'
+        ])
+    });
+    const player = engine.players[0];
+    placePiece(player, 'T', 3, 14);
+
+    // Only one front corner is blocked, so the (1, -2) kick is what makes it full
+    assert.strictEqual(engine.input(0, 'rotateCCW'), true);
+    assert.strictEqual(player.lastKick, 4);
+    assert.deepStrictEqual(player.position, { x: 4, y: 16 });
+    assert.strictEqual(player.detectTSpin(), 'full');
+    engine.input(0, 'hardDrop');
+    assert.strictEqual(engine.sharedStats.lastClearDetail.tSpin, 'full');
+    assert.strictEqual(engine.sharedStats.lastClearDetail.linesCleared, 2);
+});
+
+test('a T turned against the wall kicks one column out', () => {
+    const engine = startedEngine({});
+    const player = engine.players[0];
+    placePiece(player, 'T', -1, 10, 1);
+
+    assert.strictEqual(engine.input(0, 'rotate'), true);
+    assert.strictEqual(player.rotation, 2);
+    assert.strictEqual(player.lastKick, 1);
+    assert.deepStrictEqual(player.position, { x: 0, y: 10 });
+});
+
+test('an upright I turned against the wall uses the I kicks', () => {
+    const engine = startedEngine({});
+    const player = engine.players[0];
+    placePiece(player, 'I', 7, 10, 1);
+
+    assert.strictEqual(engine.input(0, 'rotate'), true);
+    assert.strictEqual(player.rotation, 2);
+    assert.strictEqual(player.lastKick, 1);
+    assert.deepStrictEqual(player.position, { x: 6, y: 10 });
+    assert.deepStrictEqual(player.currentPiece, rotateMatrix(SHAPES.I, 2));
+});
+
+test('counter-clockwise and 180° turns rotate in place in open space', () => {
+    const engine = startedEngine({});
+    const player = engine.players[0];
+    placePiece(player, 'T', 4, 10);
+
+    assert.strictEqual(engine.input(0, 'rotateCCW'), true);
+    assert.strictEqual(player.rotation, 3);
+    assert.deepStrictEqual(player.currentPiece, rotateMatrix(SHAPES.T, 3));
+    assert.strictEqual(engine.input(0, 'rotate180'), true);
+    assert.strictEqual(player.rotation, 1);
+    assert.deepStrictEqual(player.currentPiece, rotateMatrix(SHAPES.T, 1));
+    assert.deepStrictEqual(player.position, { x: 4, y: 10 });
+    assert.strictEqual(player.lastKick, 0);
+});
+
+test('a kick into a teammate\'s falling piece is skipped for the next free one', () => {
+    const engine = startedEngine({ numPlayers: 2 });
+    const [first, second] = engine.players;
+    placePiece(first, 'T', -1, 10, 1);
+    placePiece(second, 'O', 1, 12);
+
+    // The one-column kick would overlap the O, and so would the next; the far (1, 2) kick is free
+    assert.strictEqual(engine.input(0, 'rotate'), true);
+    assert.strictEqual(first.rotation, 2);
+    assert.strictEqual(first.lastKick, 4);
+    assert.deepStrictEqual(first.position, { x: 0, y: 8 });
+});
+
+test('a grounded piece locks once the lock delay runs out', () => {
+    const engine = startedEngine({ lockDelay: 500 });
+    const player = engine.players[0];
+    placePiece(player, 'O', 4, 18);
+
+    for (let i = 0; i < 30; i++) engine.step();
+    assert.strictEqual(player.stats.pieces, 0);
+    assert.ok(player.lockTimer > 0 && player.lockTimer < 500);
+    engine.step();
+    engine.step();
+    assert.strictEqual(player.stats.pieces, 1);
+    assert.strictEqual(engine.board[19][4], 1);
+});
+
+test('moves and rotations restart the lock delay only up to the reset limit', () => {
+    const engine = startedEngine({ lockDelay: 500, moveResetLimit: 3 });
+    const player = engine.players[0];
+    placePiece(player, 'O', 4, 18);
+
+    for (let i = 0; i < 10; i++) engine.step();
+    engine.input(0, 'move', 1);
+    assert.strictEqual(player.lockTimer, 0);
+    engine.step();
+    engine.input(0, 'rotate');
+    assert.strictEqual(player.lockTimer, 0);
+    engine.step();
+    engine.input(0, 'move', -1);
+    assert.strictEqual(player.lockTimer, 0);
+    assert.strictEqual(player.lockResets, 3);
+
+    // The fourth move still moves the piece but the timer keeps running
+    for (let i = 0; i < 10; i++) engine.step();
+    const timer = player.lockTimer;
+    assert.strictEqual(engine.input(0, 'move', 1), true);
+    assert.strictEqual(player.lockTimer, timer);
+    assert.strictEqual(player.lockResets, 3);
+    for (let i = 0; i < 22 && !player.stats.pieces; i++) engine.step();
+    assert.strictEqual(player.stats.pieces, 1);
+});
+
+test('reaching a new lowest row gives the piece its lock resets back', () => {
+    const engine = startedEngine({
+        lockDelay: 500,
+        moveResetLimit: 2,
+        board: boardFromRows(['XX........', 'XX........'])
+    });
+    const player = engine.players[0];
+    placePiece(player, 'O', 0, 16);
+
+    engine.step();
+    engine.input(0, 'move', 1);
+    engine.input(0, 'move', 1); // Off the ledge
+    assert.strictEqual(player.lockResets, 2);
+    engine.input(0, 'drop');
+    assert.strictEqual(player.position.y, 17);
+    assert.strictEqual(player.lockResets, 0);
+});
+
+test('soft drop lands on the same lock delay as gravity', () => {
+    const engine = startedEngine({ lockDelay: 500 });
+    const player = engine.players[0];
+    placePiece(player, 'O', 4, 16);
+
+    engine.input(0, 'drop');
+    engine.input(0, 'drop');
+    assert.strictEqual(player.position.y, 18);
+    assert.strictEqual(player.lockResets, 0);
+    engine.step();
+    assert.strictEqual(player.lockTimer, 0);
+
+    // Soft dropping on the stack neither locks the piece nor restarts its timer
+    for (let i = 0; i < 10; i++) engine.step();
+    const timer = player.lockTimer;
+    engine.input(0, 'drop');
+    assert.strictEqual(player.stats.pieces, 0);
+    assert.strictEqual(player.lockTimer, timer);
+    for (let i = 0; i < 21 && !player.stats.pieces; i++) engine.step();
+    assert.strictEqual(player.stats.pieces, 1);
+});
+
+test('attacks come from the selected attack table', () => {
+    const guideline = new GameEngine({ mode: 'versus', numPlayers: 2 });
+    const classic = new GameEngine({ mode: 'versus', numPlayers: 2, attackTable: 'classic' });
+    const custom = new GameEngine({ mode: 'versus', numPlayers: 2, attackTable: { lines: [0, 1, 2, 3, 8] } });
+
+    assert.strictEqual(guideline.getAttack(2, null, false, false, 1), 1);
+    assert.strictEqual(guideline.getAttack(4, null, true, false, 1), 5);
+    assert.strictEqual(guideline.getAttack(2, 'full', false, false, 1), 4);
+    assert.strictEqual(guideline.getAttack(1, 'mini', false, false, 1), 0);
+    assert.strictEqual(guideline.getAttack(1, null, false, false, 5), 2);
+    assert.strictEqual(guideline.getAttack(1, null, false, true, 1), 10);
+    assert.strictEqual(classic.getAttack(2, 'full', true, true, 5), 1);
+    assert.strictEqual(custom.getAttack(4, null, false, false, 1), 8);
+    assert.strictEqual(custom.getAttack(2, 'full', false, false, 1), 4);
+});
+
+test('a clear cancels incoming garbage and sends the rest to the opponent', () => {
+    const rows = ['X.........', 'XXXXXXXXX.', 'XXXXXXXXX.', 'XXXXXXXXX.', 'XXXXXXXXX.'];
+    const engine = startedEngine({ mode: 'versus', numPlayers: 2, board: boardFromRows(rows) });
+    const [first, second] = engine.players;
+    second.incomingGarbage = [{ lines: 1, hole: 0 }];
+    placePiece(second, 'I', 7, 16, 1);
+
+    // A Tetris sends 4: one cancels the pending row, three go to the opponent
+    engine.input(1, 'hardDrop');
+    assert.strictEqual(engine.getScoreStats(second).lastClearDetail.attack, 4);
+    assert.deepStrictEqual(second.incomingGarbage, []);
+    assert.strictEqual(second.stats.attack, 3);
+    assert.strictEqual(first.pendingGarbage, 3);
+
+    // It rises once the opponent locks a piece without clearing
+    const hole = first.incomingGarbage[0].hole;
+    placePiece(first, 'O', 2, 5);
+    engine.input(0, 'hardDrop');
+    assert.strictEqual(first.pendingGarbage, 0);
+    assert.strictEqual(first.stats.garbageReceived, 3);
+    [17, 18, 19].forEach(y => {
+        assert.deepStrictEqual(first.board[y], Array.from({ length: 10 }, (_, x) => (x === hole ? 0 : GARBAGE_CELL)));
+    });
+    assert.deepStrictEqual(first.board[16], boardFromRows(rows)[19]);
+});
+
+test('the last player standing wins a versus game', () => {
+    const engine = startedEngine({ mode: 'versus', numPlayers: 3 });
+    engine.eliminatePlayer(0);
+    assert.strictEqual(engine.isGameOver, false);
+    assert.strictEqual(engine.winnerId, null);
+    engine.eliminatePlayer(2);
+    assert.strictEqual(engine.isGameOver, true);
+    assert.strictEqual(engine.winnerId, 1);
+});
+
+// The pieces a player is dealt, starting with the one falling now
+function dealtPieces(player, count) {
+    const pieces = [player.currentType, ...player.nextQueue];
+    while (pieces.length < count) pieces.push(player.randomizer.next());
+    return pieces.slice(0, count);
+}
+
+function sortedCopies(copies) {
+    return Array.from({ length: copies }, () => Object.keys(SHAPES)).flat().sort();
+}
+
+test('every 7-bag window holds each piece once', () => {
+    const engine = startedEngine({ numPlayers: 2, seed: 5 });
+    engine.players.forEach(player => {
+        const pieces = dealtPieces(player, 70);
+        for (let i = 0; i < pieces.length; i += 7) {
+            assert.deepStrictEqual(pieces.slice(i, i + 7).sort(), sortedCopies(1), `player ${player.id}, window ${i / 7}`);
+        }
+    });
+});
+
+test('a shared 7-bag deals every player the same sequence', () => {
+    const engine = startedEngine({ numPlayers: 3, seed: 5, randomizer: 'bag7-shared' });
+    const [first, ...others] = engine.players;
+    const expected = dealtPieces(first, 35);
+    others.forEach(player => assert.deepStrictEqual(dealtPieces(player, 35), expected));
+    for (let i = 0; i < expected.length; i += 7) {
+        assert.deepStrictEqual(expected.slice(i, i + 7).sort(), sortedCopies(1));
+    }
+});
+
+test('a 14-bag holds each piece twice', () => {
+    const randomizer = createRandomizer('bag14', createRandom(5));
+    for (let bag = 0; bag < 10; bag++) {
+        const pieces = Array.from({ length: 14 }, () => randomizer.next());
+        assert.deepStrictEqual(pieces.sort(), sortedCopies(2));
+    }
+});
+
+test('a sprint records a split every 10 lines and ends at its goal', () => {
+    const rows = ['XXXXXXXXX.', 'XXXXXXXXX.', 'XXXXXXXXX.', 'XXXXXXXXX.'];
+    const engine = startedEngine({ goal: 'sprint', goalLines: 20, board: boardFromRows(rows) });
+    const player = engine.players[0];
+    engine.sharedStats.lines = 8;
+    const tetris = () => {
+        engine.board.splice(16, 4, ...boardFromRows(rows).slice(16));
+        placePiece(player, 'I', 7, 16, 1);
+        engine.input(0, 'hardDrop');
+    };
+
+    tetris();
+    assert.deepStrictEqual(engine.splits.map(split => split.lines), [12]);
+    tetris();
+    assert.strictEqual(engine.splits.length, 1);
+    assert.strictEqual(engine.isGameOver, false);
+    tetris();
+    assert.strictEqual(engine.sharedStats.lines, 20);
+    assert.deepStrictEqual(engine.splits.map(split => split.lines), [12, 20]);
+    assert.strictEqual(engine.goalReached, true);
+    assert.strictEqual(engine.isGameOver, true);
+});
+
+test('an ultra ends when its time is up', () => {
+    const engine = startedEngine({ goal: 'ultra', goalTime: 65000 });
+    const frames = Math.round(65000 / FRAME_DURATION);
+    for (let i = 0; i < frames - 1; i++) engine.step();
+    assert.strictEqual(engine.isGameOver, false);
+    engine.step();
+    assert.strictEqual(engine.goalReached, true);
+    assert.strictEqual(engine.isGameOver, true);
+    assert.strictEqual(engine.goalClock, 0);
+    assert.deepStrictEqual(engine.splits.map(split => split.frame), [1800, 3600, frames]);
+});
+
+test('topping out ends a goal game without reaching the goal', () => {
+    const engine = startedEngine({ goal: 'sprint' });
+    engine.eliminatePlayer(0);
+    assert.strictEqual(engine.isGameOver, true);
+    assert.strictEqual(engine.goalReached, false);
+});
@@ -0,0 +1,101 @@
+// Room rules on the server: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { Room } = require('../server');
+
+function createRoom() {
+    const room = new Room('room_test', 'Test', 'host');
+    room.addPlayer('host', 'Host');
+    room.addPlayer('guest', 'Guest');
+    room.setPlayerReady('guest', true);
+    return room;
+}
+
+test('valid room settings are applied and reset ready flags', () => {
+    const room = createRoom();
+    assert.strictEqual(room.updateSettings('host', { mode: 'versus', startLevel: 5, maxPlayers: 3 }), true);
+    assert.strictEqual(room.settings.mode, 'versus');
+    assert.strictEqual(room.settings.startLevel, 5);
+    assert.strictEqual(room.maxPlayers, 3);
+    assert.strictEqual(room.players.find(p => p.id === 'guest').ready, false);
+});
+
+test('an invalid room setting rejects the whole change', () => {
+    const room = createRoom();
+    const before = { settings: { ...room.settings }, maxPlayers: room.maxPlayers };
+    [
+        { mode: 'versus', randomizer: 'bogus' },
+        { startLevel: 3, unknownKey: true },
+        { maxPlayers: 3, scoring: 'nope' },
+        { scoring: 'guideline', maxPlayers: 1 },
+        { attackTable: 'toString' }
+    ].forEach(changes => {
+        assert.strictEqual(room.updateSettings('host', changes), false, JSON.stringify(changes));
+        assert.deepStrictEqual({ settings: room.settings, maxPlayers: room.maxPlayers }, before, JSON.stringify(changes));
+    });
+    assert.strictEqual(room.players.find(p => p.id === 'guest').ready, true);
+});
+
+test('only the host changes room settings', () => {
+    const room = createRoom();
+    assert.strictEqual(room.updateSettings('guest', { mode: 'versus' }), false);
+    assert.strictEqual(room.settings.mode, 'coop');
+});
+
+test('the board size only changes when both board settings are valid', () => {
+    const room = createRoom();
+    assert.strictEqual(room.updateSettings('host', { boardHeight: 24, columnsPerPlayer: 9 }), false);
+    assert.strictEqual(room.updateSettings('host', { columnsPerPlayer: 2, boardHeight: 40 }), false);
+    assert.strictEqual(room.updateSettings('host', { boardHeight: 24, columnsPerPlayer: -1 }), false);
+    assert.strictEqual(room.settings.boardHeight, 20);
+    assert.strictEqual(room.settings.columnsPerPlayer, 4);
+
+    assert.strictEqual(room.updateSettings('host', { boardHeight: 24, columnsPerPlayer: 2 }), true);
+    room.players.forEach(p => room.setPlayerReady(p.id, true));
+    room.startGame();
+    assert.strictEqual(room.engine.boardHeight, 24);
+    assert.strictEqual(room.engine.boardWidth, 12);
+    room.endGame();
+});
+
+test('game inputs are only taken from seated players with valid actions', () => {
+    const room = createRoom();
+    room.addSpectator('watcher', 'Watcher');
+    room.setPlayerReady('host', true);
+    room.startGame();
+
+    assert.strictEqual(room.applyInput('watcher', { action: 'move', direction: 1 }), false);
+    assert.strictEqual(room.applyInput('stranger', { action: 'hardDrop' }), false);
+    assert.strictEqual(room.applyInput('host', { action: 'teleport' }), false);
+    assert.strictEqual(room.applyInput('host', { action: 'eliminate' }), false);
+    assert.strictEqual(room.applyInput('host', null), false);
+    [0, 2, '1', undefined].forEach(direction => {
+        assert.strictEqual(room.applyInput('host', { action: 'move', direction }), false, `direction: ${direction}`);
+    });
+    assert.strictEqual(room.applyInput('host', { action: 'move', direction: 1 }), true);
+    room.endGame();
+});
+
+test('a dropped host hands the room to a connected player', () => {
+    const room = createRoom();
+    const token = room.createSession('host');
+    room.holdSeat('host', () => {});
+    assert.strictEqual(room.hostId, 'guest');
+    assert.strictEqual(room.canForceStart('guest'), true);
+    assert.strictEqual(room.updateSettings('guest', { startLevel: 2 }), true);
+
+    // Coming back gives the seat back, not the host role
+    assert.strictEqual(room.reconnectPlayer(token, 'host-again'), 'host');
+    assert.strictEqual(room.hostId, 'guest');
+    assert.strictEqual(room.heldSeats.size, 0);
+});
+
+test('a dropped host with nobody connected to take over stays host', () => {
+    const room = new Room('room_test', 'Test', 'host');
+    room.addPlayer('host', 'Host');
+    room.addBot('host', 'easy');
+    assert.strictEqual(room.players.length, 2);
+    room.holdSeat('host', () => {});
+    assert.strictEqual(room.hostId, 'host');
+    room.releaseSeat('host');
+});